@@ -2,7 +2,7 @@
 // Hlavní aplikace - refaktorovaná verze s čistým kódem
 // Tato komponenta orchestruje celou aplikaci a deleguje specifickou logiku do modulů
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import { useSensor, useSensors, PointerSensor, KeyboardSensor } from '@dnd-kit/core';
 import { sortableKeyboardCoordinates } from '@dnd-kit/sortable';
 
@@ -11,29 +11,333 @@ import Header from './components/Header';
 import Controls from './components/Controls';
 import HistoryPanel from './components/HistoryPanel';
 import ExplanationSection from './components/ExplanationSection';
-import WrongVariant from './components/variants/WrongVariant';
-import GeneratedVariant from './components/variants/GeneratedVariant';
-import CorrectVariant from './components/variants/CorrectVariant';
+import ScenarioPanel from './components/ScenarioPanel';
+import IdBenchmarkPanel from './components/IdBenchmarkPanel';
+import A11ySettingsPanel from './components/A11ySettingsPanel';
+import ListTransferPanel from './components/ListTransferPanel';
+import StorageWarning from './components/StorageWarning';
+import VariantPanel from './components/variants/VariantPanel';
+import KanbanBoard from './components/kanban/KanbanBoard';
+import SortableTree from './components/tree/SortableTree';
+import LargeListPanel from './components/large/LargeListPanel';
 
 // Hooks
 import { useHistory } from './hooks/useHistory';
 import { useDragAndDrop } from './hooks/useDragAndDrop';
+import { useVariantLists } from './hooks/useVariantLists';
+import { usePersistedState, usePersistence } from './hooks/usePersistence';
+import { useScenario } from './hooks/useScenario';
+import { useDivergenceCheck } from './hooks/useDivergenceCheck';
+import { useIdBenchmark } from './hooks/useIdBenchmark';
+import { useInitialUrlState, useUrlState } from './hooks/useUrlState';
+import { useKanban } from './hooks/useKanban';
+import { useTree } from './hooks/useTree';
+import { usePerformanceMonitor } from './hooks/usePerformanceMonitor';
+import { useServerSync } from './hooks/useServerSync';
+
+// i18n
+import { I18nProvider } from './i18n/I18nContext';
+import { ThemeProvider } from './theme/ThemeContext';
+import { LOCALES, translate, createMessage, createTranslator, detectLanguage } from './i18n';
 
 // Utils
-import { generateNanoId, addIdsToValues, createItemWithId } from './utils/idGenerators';
+import {
+  generateNanoId,
+  addIdsToValues,
+  createItemWithId,
+  createIdFactory,
+  restoreIncrementalCounter
+} from './utils/idGenerators';
+import { findMaxIncrementalId } from './utils/storage';
+import {
+  applyScenarioStep,
+  createMoveStep,
+  createMoveGroupStep,
+  createSwapStep,
+  createDeleteStep,
+  createAddStep,
+  createEditStep,
+  parseScript
+} from './utils/scenario';
+import { isSwapLayout } from './utils/sortingLayouts';
+import { createDndAccessibility } from './utils/dndAccessibility';
+import { getDropAnimation } from './utils/dropAnimation';
+import { parseListData } from './utils/listTransfer';
+import { diffItems } from './utils/listActions';
+
+// Variant registry
+import { VARIANTS, ID_STRATEGIES, getVariant, usesIndexIds } from './variants';
+import {
+  getItemValue,
+  findItemIndex,
+  createGeneratedItems,
+  createVariantItems,
+  createVariantItem,
+  createImportedVariantItems,
+  countItemsWithId
+} from './variants/items';
 
 // Constants
-import { VARIANT_TYPES, INITIAL_ITEMS, UI_CONSTANTS, MESSAGES } from './constants';
+import {
+  VARIANT_TYPES,
+  HISTORY_TYPES,
+  HISTORY_OPERATIONS,
+  ID_GENERATOR_TYPES,
+  ID_GENERATOR_LABELS,
+  KANBAN_COLUMNS,
+  LAYOUT_TYPES,
+  COLLISION_DETECTION_TYPES,
+  A11Y_SETTINGS,
+  RENDER_MODES,
+  DROP_ANIMATIONS,
+  THEME_TYPES,
+  MOCK_BACKEND,
+  SYNC_OPERATIONS,
+  UI_CONSTANTS
+} from './constants';
 
 import './App.css';
 
+// Optional ?seed=... makes generated IDs repeatable (screenshots, recorded demos)
+const ID_SEED = new URLSearchParams(window.location.search).get('seed');
+
+// Výchozí hodnota "omezit animace" podle nastavení systému
+const prefersReducedMotion = () => (
+  window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false
+);
+
+/**
+ * Vytvoří generátory ID pro všechny strategie (se seedem z URL, pokud je zadán)
+ * @returns {Object} Factory podle typu generátoru
+ */
+const createIdFactories = () => Object.fromEntries(
+  Object.values(ID_GENERATOR_TYPES).map(type => [
+    type,
+    createIdFactory({ type, seed: ID_SEED && `${ID_SEED}:${type}` })
+  ])
+);
+
+/**
+ * Vytvoří výchozí seznamy všech variant z registru
+ * Varianty, které uložený nebo sdílený stav nezná (přibyly později), se doplní z výchozích hodnot.
+ * @param {Array<string>} values - Výchozí hodnoty položek (v aktuálním jazyce)
+ * @param {Object} idFactories - Factory podle typu generátoru
+ * @param {string} generatedIdType - Generátor pro variantu se strategií GENERATED
+ * @param {Object} storedSnapshot - Uložené položky podle typu varianty (volitelné)
+ * @returns {Object} Snapshot položek podle typu varianty
+ */
+const createInitialSnapshot = (
+  values,
+  idFactories,
+  generatedIdType = ID_GENERATOR_TYPES.NANOID,
+  storedSnapshot = {}
+) => Object.fromEntries(
+  VARIANTS.map(variant => [
+    variant.type,
+    storedSnapshot[variant.type] ?? createVariantItems(variant, values, idFactories, generatedIdType)
+  ])
+);
+
+/**
+ * Vytvoří sloupce Kanban režimu
+ * @param {Object} columnValues - Hodnoty položek podle sloupce (v aktuálním jazyce)
+ * @param {string} idType - Generátor ID; bez něj zůstanou hodnoty (varianta s indexy)
+ * @returns {Object} Položky podle sloupce
+ */
+const createKanbanColumns = (columnValues, idType = null) => Object.fromEntries(
+  Object.values(KANBAN_COLUMNS).map(columnId => [
+    columnId,
+    idType ? addIdsToValues(columnValues[columnId], idType) : columnValues[columnId]
+  ])
+);
+
+/**
+ * Vytvoří uzly stromového režimu
+ * @param {Array} nodes - Uzly { value, children } (v aktuálním jazyce)
+ * @param {string} idType - Generátor ID; bez něj uzly ID nemají (varianta s cestou indexů)
+ * @returns {Array} Uzly stromu
+ */
+const createTree = (nodes, idType = null) => nodes.map(node => ({
+  ...(idType ? createItemWithId(node.value, idType) : { value: node.value }),
+  children: createTree(node.children || [], idType)
+}));
+
+const getTreeNodeId = (node) => node.id;
+
+/**
+ * Vytvoří strukturované údaje záznamu historie
+ * @param {string} operation - Typ operace z HISTORY_OPERATIONS
+ * @param {Array} items - Položky, ve kterých se pozice hledají
+ * @param {Array<number>} indexes - Pozice dotčených položek
+ * @returns {Object} { operation, ids, indexes } - u varianty s indexy je ID samotný index
+ */
+const createHistoryDetails = (operation, items = [], indexes = []) => ({
+  operation,
+  ids: indexes.map(index => (typeof items[index] === 'string' ? index : items[index]?.id)),
+  indexes
+});
+
+/**
+ * Vytvoří údaje záznamu historie z výsledku tažení
+ * @param {Array} items - Položky před přesunem
+ * @param {Object} result - Výsledek useDragAndDrop.handleDragEnd
+ * @returns {Object} { operation, ids, indexes }
+ */
+const createDragDetails = (items, result) => {
+  if (result.groupIndexes) {
+    return createHistoryDetails(HISTORY_OPERATIONS.MOVE_GROUP, items, result.groupIndexes);
+  }
+
+  return createHistoryDetails(
+    result.swapped ? HISTORY_OPERATIONS.SWAP : HISTORY_OPERATIONS.MOVE,
+    items,
+    [result.oldIndex, result.newIndex]
+  );
+};
+
+/**
+ * Vytvoří zprávu historie pro tažení - varianta s indexy hlásí pozice, ostatní ID
+ * @param {Object} variant - Záznam registru
+ * @param {Object} result - Výsledek useDragAndDrop.handleDragEnd
+ * @returns {Object} Zpráva pro createMessage
+ */
+const createDragMessage = (variant, result) => {
+  if (result.groupIndexes) {
+    return createMessage('messages.moveGroup', { count: result.groupIndexes.length, to: result.newIndex });
+  }
+
+  if (usesIndexIds(variant)) {
+    return createMessage(
+      result.swapped ? 'messages.swapItem' : 'messages.moveItem',
+      { from: result.oldIndex, to: result.newIndex }
+    );
+  }
+
+  return createMessage(
+    result.swapped ? 'messages.swapItemById' : 'messages.moveItemById',
+    { id: result.activeId, to: result.newIndex }
+  );
+};
+
+/**
+ * Vytvoří krok scénáře z výsledku tažení (jedné položky nebo skupiny)
+ * @param {string} source - Typ varianty
+ * @param {Array} items - Položky před přesunem
+ * @param {Object} result - Výsledek useDragAndDrop.handleDragEnd
+ * @returns {Object} Krok scénáře
+ */
+const createDragStep = (source, items, result) => {
+  if (result.groupIndexes) {
+    return createMoveGroupStep(source, items, result.groupIndexes, result.oldIndex, result.newIndex);
+  }
+  if (result.swapped) {
+    return createSwapStep(source, items, result.oldIndex, result.newIndex);
+  }
+  return createMoveStep(source, items, result.oldIndex, result.newIndex);
+};
+
+/**
+ * Smazání více položek se přehrává jako série kroků od konce,
+ * aby uložené indexy zůstaly platné
+ * @param {string} source - Typ varianty
+ * @param {Array} items - Položky před smazáním
+ * @param {Array<number>} deletedIndexes - Seřazené pozice smazaných položek
+ * @returns {Array<Object>} Kroky scénáře
+ */
+const createGroupDeleteSteps = (source, items, deletedIndexes) => {
+  return [...deletedIndexes].reverse().map(index => createDeleteStep(source, items, index));
+};
+
+// Every variant starts with the algorithm the original demo hard-coded
+const DEFAULT_COLLISION_TYPES = Object.fromEntries(
+  VARIANTS.map(variant => [variant.type, COLLISION_DETECTION_TYPES.CLOSEST_CENTER])
+);
+
+// The one variant whose result is compared with what the user meant (tracked by value)
+const DIVERGENCE_VARIANT = VARIANTS.find(variant => variant.capabilities.checksDivergence);
+
+// The variant whose IDs belong to the data - an import reports how many of them were kept
+const IMPORT_ID_VARIANT = VARIANTS.find(variant => variant.idStrategy === ID_STRATEGIES.STABLE);
+
+// The variant whose changes are applied optimistically and confirmed by the mock backend
+const SERVER_VARIANT = VARIANTS.find(variant => variant.capabilities.syncsWithServer);
+
+// History message for a change the server rejected (and that was rolled back)
+const ROLLBACK_MESSAGES = {
+  [SYNC_OPERATIONS.CREATE]: 'messages.rollbackCreate',
+  [SYNC_OPERATIONS.REORDER]: 'messages.rollbackReorder',
+  [SYNC_OPERATIONS.UPDATE]: 'messages.rollbackUpdate',
+  [SYNC_OPERATIONS.DELETE]: 'messages.rollbackDelete'
+};
+
 const App = () => {
+  // State restored from localStorage (null on first visit)
+  const persistedState = usePersistedState();
+  // State from a shared link (#v=2&tab=...) takes precedence over localStorage
+  const urlState = useInitialUrlState();
+
   // State
-  const [showDebug, setShowDebug] = useState(true);
-  const [activeTab, setActiveTab] = useState(VARIANT_TYPES.ALL);
+  const [language, setLanguage] = useState(persistedState?.ui?.language ?? detectLanguage());
+  const [themePreference, setThemePreference] = useState(
+    persistedState?.ui?.theme ?? THEME_TYPES.SYSTEM
+  );
+  const [showDebug, setShowDebug] = useState(
+    urlState?.showDebug ?? persistedState?.ui?.showDebug ?? true
+  );
+  const [activeTab, setActiveTab] = useState(
+    urlState?.activeTab ?? persistedState?.ui?.activeTab ?? VARIANT_TYPES.ALL
+  );
+  const [layout, setLayout] = useState(persistedState?.ui?.layout ?? LAYOUT_TYPES.VERTICAL);
+  const [collisionTypes, setCollisionTypes] = useState({
+    ...DEFAULT_COLLISION_TYPES,
+    ...persistedState?.ui?.collisionTypes
+  });
+  const [a11ySettings, setA11ySettings] = useState(() => ({
+    [A11Y_SETTINGS.REDUCED_MOTION]: prefersReducedMotion(),
+    [A11Y_SETTINGS.STRONG_FOCUS]: false,
+    [A11Y_SETTINGS.VERBOSE_ANNOUNCEMENTS]: true,
+    ...persistedState?.ui?.a11ySettings
+  }));
+  const [renderMode, setRenderMode] = useState(persistedState?.ui?.renderMode ?? RENDER_MODES.TRANSFORM);
+  const [dropAnimationType, setDropAnimationType] = useState(
+    persistedState?.ui?.dropAnimation ?? DROP_ANIMATIONS.DEFAULT
+  );
+  const [generatedIdType, setGeneratedIdType] = useState(
+    persistedState?.ui?.generatedIdType ?? ID_GENERATOR_TYPES.NANOID
+  );
+  const [serverSettings, setServerSettings] = useState(() => ({
+    latency: MOCK_BACKEND.DEFAULT_LATENCY,
+    failureRate: MOCK_BACKEND.DEFAULT_FAILURE_RATE,
+    ...persistedState?.ui?.serverSync
+  }));
+  const [idFactories] = useState(createIdFactories);
+  const [initialSnapshot] = useState(() => createInitialSnapshot(
+    translate(language, 'items.initial'),
+    idFactories,
+    generatedIdType,
+    urlState?.variants ?? persistedState?.variants
+  ));
   
   // History management
-  const { recentHistory, addHistoryEntry, clearHistory } = useHistory();
+  const {
+    history,
+    position,
+    baseline,
+    allHistory,
+    recentHistory,
+    addHistoryEntry,
+    clearHistory,
+    undo,
+    redo,
+    jumpTo,
+    canUndo,
+    canRedo
+  } = useHistory(
+    initialSnapshot,
+    // Stored history belongs to other lists than the shared ones
+    urlState?.variants ? null : persistedState?.history,
+    LOCALES[language]
+  );
   
   // Sensors for drag and drop
   const sensors = useSensors(
@@ -47,103 +351,715 @@ const App = () => {
     })
   );
 
-  // Wrong variant (using indexes)
-  const wrongVariant = useDragAndDrop(INITIAL_ITEMS);
-  
-  // Generated variant (with generated IDs)
-  const generatedVariant = useDragAndDrop(
-    addIdsToValues(INITIAL_ITEMS),
-    (items, id) => items.findIndex(item => item.id === id)
+  // One list per registered variant, all kept in a single reducer.
+  // currentSnapshot holds the items of all variants and changes only with them.
+  const {
+    lists: variantLists,
+    actions: listActions,
+    snapshot: currentSnapshot
+  } = useVariantLists(initialSnapshot);
+
+  // Ground truth for the index variant - what the user meant, tracked by value
+  const divergence = useDivergenceCheck(
+    DIVERGENCE_VARIANT ? variantLists[DIVERGENCE_VARIANT.type].items : []
   );
-  
-  // Correct variant (with stable IDs)
-  const correctVariant = useDragAndDrop(
-    addIdsToValues(INITIAL_ITEMS, 'incremental'),
+
+  // Kanban mode - several sortable columns under one DndContext
+  // (created once - the counter must not advance on every render)
+  const [initialKanban] = useState(() => {
+    const values = translate(language, 'items.kanban');
+    return {
+      [VARIANT_TYPES.WRONG]: createKanbanColumns(values),
+      [VARIANT_TYPES.CORRECT]: createKanbanColumns(values, ID_GENERATOR_TYPES.INCREMENTAL)
+    };
+  });
+  const wrongKanban = useKanban(initialKanban[VARIANT_TYPES.WRONG]);
+  const correctKanban = useKanban(
+    initialKanban[VARIANT_TYPES.CORRECT],
     (items, id) => items.findIndex(item => item.id === id)
   );
 
-  // Handlers for wrong variant
-  const handleWrongDragEnd = useCallback((event) => {
-    const result = wrongVariant.handleDragEnd(event);
-    if (result) {
+  // Tree mode - flattened tree with parentId/depth, index paths vs. stable IDs
+  const [initialTree] = useState(() => {
+    const nodes = translate(language, 'items.tree');
+    return {
+      [VARIANT_TYPES.WRONG]: createTree(nodes),
+      [VARIANT_TYPES.CORRECT]: createTree(nodes, ID_GENERATOR_TYPES.INCREMENTAL)
+    };
+  });
+  const wrongTree = useTree(initialTree[VARIANT_TYPES.WRONG]);
+  const correctTree = useTree(initialTree[VARIANT_TYPES.CORRECT], getTreeNodeId);
+
+  // Large list mode - thousands of rows, kept out of history, persistence and the URL
+  const largeWrongList = useDragAndDrop([]);
+  const largeCorrectList = useDragAndDrop([], (items, id) => items.findIndex(item => item.id === id));
+  const performanceMonitor = usePerformanceMonitor(activeTab === VARIANT_TYPES.LARGE);
+
+  // Snapshot of all variants with one variant replaced by its new items
+  const createSnapshot = useCallback((variantType, items) => ({
+    ...currentSnapshot,
+    [variantType]: items
+  }), [currentSnapshot]);
+
+  // Server responses - assigned IDs and rolled back changes go to history
+  const handleServerResult = useCallback((result) => {
+    const { type } = SERVER_VARIANT;
+    if (result.confirmed && result.operation !== SYNC_OPERATIONS.CREATE) {
+      return;
+    }
+
+    const index = result.items.findIndex(item => item.id === result.id);
+    addHistoryEntry(
+      type,
+      result.confirmed
+        ? createMessage('messages.serverIdAssigned', {
+          value: result.value,
+          temporaryId: result.temporaryId,
+          id: result.id
+        })
+        : createMessage(ROLLBACK_MESSAGES[result.operation], {
+          value: result.value,
+          previousValue: result.previousValue,
+          status: result.status
+        }),
+      !result.confirmed,
+      createSnapshot(type, result.items),
+      createHistoryDetails(
+        result.confirmed ? HISTORY_OPERATIONS.SYNC : HISTORY_OPERATIONS.ROLLBACK,
+        result.items,
+        index === -1 ? [] : [index]
+      )
+    );
+  }, [addHistoryEntry, createSnapshot]);
+
+  const serverSync = useServerSync(
+    variantLists[SERVER_VARIANT.type],
+    serverSettings,
+    handleServerResult
+  );
+  const {
+    create: createOnServer,
+    reorder: reorderOnServer,
+    update: updateOnServer,
+    remove: removeOnServer,
+    reseed: reseedServer
+  } = serverSync;
+
+  const handleLatencyChange = useCallback((latency) => {
+    setServerSettings(prevSettings => ({ ...prevSettings, latency }));
+  }, []);
+
+  const handleFailureRateChange = useCallback((failureRate) => {
+    setServerSettings(prevSettings => ({ ...prevSettings, failureRate }));
+  }, []);
+
+  const { pendingIds, requestCount } = serverSync;
+  const serverSyncProps = useMemo(() => ({
+    ...serverSettings,
+    pendingIds,
+    requestCount,
+    onLatencyChange: handleLatencyChange,
+    onFailureRateChange: handleFailureRateChange
+  }), [serverSettings, pendingIds, requestCount, handleLatencyChange, handleFailureRateChange]);
+
+  const { syncExpected } = divergence;
+  const { setColumns: setWrongKanbanColumns } = wrongKanban;
+  const { setColumns: setCorrectKanbanColumns } = correctKanban;
+  const { resetTree: resetWrongTree } = wrongTree;
+  const { resetTree: resetCorrectTree } = correctTree;
+
+  const restoreSnapshot = useCallback((snapshot) => {
+    if (!snapshot) {
+      return;
+    }
+
+    // Older history entries may not know variants added to the registry later
+    VARIANTS.forEach(variant => {
+      if (snapshot[variant.type]) {
+        listActions[variant.type].setItems(snapshot[variant.type]);
+      }
+    });
+    if (DIVERGENCE_VARIANT && snapshot[DIVERGENCE_VARIANT.type]) {
+      syncExpected(snapshot[DIVERGENCE_VARIANT.type]);
+    }
+    // The mock database follows the restored list; requests still in flight are dropped
+    if (snapshot[SERVER_VARIANT.type]) {
+      reseedServer(snapshot[SERVER_VARIANT.type]);
+    }
+  }, [listActions, syncExpected, reseedServer]);
+
+  const clearSelections = useCallback(() => {
+    VARIANTS.forEach(variant => listActions[variant.type].clearSelection());
+  }, [listActions]);
+
+  // Scenario player applies every step to all variants at once
+  const handleScenarioRewind = useCallback((startSnapshot) => {
+    const snapshot = startSnapshot ?? currentSnapshot;
+    restoreSnapshot(snapshot);
+    addHistoryEntry(
+      HISTORY_TYPES.SCENARIO,
+      createMessage('messages.scenarioRewind'),
+      false,
+      snapshot,
+      createHistoryDetails(HISTORY_OPERATIONS.SCENARIO)
+    );
+  }, [currentSnapshot, restoreSnapshot, addHistoryEntry]);
+
+  const handleScenarioStep = useCallback((step, current, total) => {
+    const snapshot = applyScenarioStep(currentSnapshot, step, idFactories);
+
+    // The server variant takes the same optimistic requests as the user's own changes -
+    // reseeding the database would drop requests that are still in flight
+    const { [SERVER_VARIANT.type]: serverItems, ...otherSnapshot } = snapshot;
+    const previousServerItems = currentSnapshot[SERVER_VARIANT.type];
+    const changes = diffItems(previousServerItems, serverItems);
+
+    restoreSnapshot(otherSnapshot);
+    listActions[SERVER_VARIANT.type].setItems(serverItems);
+    changes.created.forEach(createOnServer);
+    changes.removed.forEach(({ item, index }) => removeOnServer(item, index));
+    changes.updated.forEach(({ id, value, previousValue }) => updateOnServer(id, value, previousValue));
+    if (changes.reordered) {
+      reorderOnServer(previousServerItems.map(item => item.id), serverItems.map(item => item.id));
+    }
+    addHistoryEntry(
+      HISTORY_TYPES.SCENARIO,
+      createMessage(`messages.scenarioStep.${step.type}`, { ...step, current, total }),
+      false,
+      snapshot,
+      createHistoryDetails(HISTORY_OPERATIONS.SCENARIO)
+    );
+  }, [
+    currentSnapshot,
+    idFactories,
+    listActions,
+    restoreSnapshot,
+    createOnServer,
+    removeOnServer,
+    updateOnServer,
+    reorderOnServer,
+    addHistoryEntry
+  ]);
+
+  const scenario = useScenario(handleScenarioRewind, handleScenarioStep);
+
+  // ID generator benchmark (runs in a Web Worker)
+  const benchmark = useIdBenchmark();
+  const { recordStep } = scenario;
+
+  // A value that became a shared key is logged as a warning (value-as-ID variant)
+  const reportDuplicateKey = useCallback((variantType, items, id, snapshot) => {
+    const variant = getVariant(variantType);
+    if (!variant.capabilities.checksDuplicates) {
+      return;
+    }
+
+    const count = countItemsWithId(variant, items, id);
+    if (count > 1) {
       addHistoryEntry(
-        VARIANT_TYPES.WRONG,
-        MESSAGES.MOVE_ITEM(result.oldIndex, result.newIndex)
+        variantType,
+        createMessage('messages.duplicateKey', { id, count }),
+        true,
+        snapshot,
+        createHistoryDetails(
+          HISTORY_OPERATIONS.DUPLICATE,
+          items,
+          items.flatMap((item, index) => (getItemValue(item) === id ? [index] : []))
+        )
       );
     }
-  }, [wrongVariant, addHistoryEntry]);
+  }, [addHistoryEntry]);
+
+  // Handlers shared by all registered variants - the variant type comes first
+  const handleVariantDragEnd = useCallback((variantType, event) => {
+    const variant = getVariant(variantType);
+    const list = variantLists[variantType];
+    const result = list.handleDragEnd(event, isSwapLayout(layout));
+    if (!result) {
+      return;
+    }
 
-  const handleWrongDelete = useCallback((index) => {
-    const deletedItem = wrongVariant.items[index];
-    wrongVariant.deleteItem(index);
+    const snapshot = createSnapshot(variantType, result.items);
+    recordStep(createDragStep(variantType, list.items, result));
     addHistoryEntry(
-      VARIANT_TYPES.WRONG,
-      MESSAGES.DELETE_ITEM(deletedItem, 'index'),
-      true
+      variantType,
+      createDragMessage(variant, result),
+      false,
+      snapshot,
+      createDragDetails(list.items, result)
     );
-  }, [wrongVariant, addHistoryEntry]);
 
-  // Handlers for generated variant
-  const handleGeneratedDragEnd = useCallback((event) => {
-    const result = generatedVariant.handleDragEnd(event);
-    if (result) {
+    // With value IDs the first item with the dragged key moves, not necessarily the grabbed one
+    const sharedCount = variant.capabilities.checksDuplicates
+      ? countItemsWithId(variant, list.items, result.activeId)
+      : 0;
+    if (sharedCount > 1) {
+      addHistoryEntry(
+        variantType,
+        createMessage('messages.duplicateMove', { id: result.activeId, count: sharedCount }),
+        true,
+        snapshot,
+        createHistoryDetails(HISTORY_OPERATIONS.DUPLICATE, list.items, [result.oldIndex])
+      );
+    }
+
+    if (variant.capabilities.syncsWithServer) {
+      reorderOnServer(list.items.map(item => item.id), result.items.map(item => item.id));
+    }
+
+    if (!variant.capabilities.checksDivergence) {
+      return;
+    }
+
+    // Compare with what the user actually grabbed (by value)
+    const { groupIndexes } = result;
+    const grabbedValue = event.active.data.current?.value;
+    const overValue = event.over.data.current?.value;
+    const movedValue = getItemValue(list.items[result.oldIndex]);
+    const divergentIndexes = groupIndexes
+      ? divergence.expectGroupMove(
+        groupIndexes.map(index => getItemValue(list.items[index])),
+        grabbedValue,
+        overValue,
+        result.items
+      )
+      : divergence.expectMove(grabbedValue, overValue, result.items, result.swapped);
+
+    if (grabbedValue !== undefined && grabbedValue !== movedValue) {
+      addHistoryEntry(
+        variantType,
+        createMessage('messages.divergenceMove', { grabbed: grabbedValue, moved: movedValue }),
+        true,
+        snapshot,
+        createHistoryDetails(
+          HISTORY_OPERATIONS.DIVERGENCE,
+          list.items,
+          [result.oldIndex, result.newIndex]
+        )
+      );
+    } else if (divergentIndexes.length > 0) {
       addHistoryEntry(
-        VARIANT_TYPES.GENERATED,
-        `Přesunuto položku s ID ${result.activeId} na pozici ${result.newIndex}`
+        variantType,
+        createMessage('messages.divergenceOrder', { count: divergentIndexes.length }),
+        true,
+        snapshot,
+        createHistoryDetails(HISTORY_OPERATIONS.DIVERGENCE, result.items, divergentIndexes)
       );
     }
-  }, [generatedVariant, addHistoryEntry]);
+  }, [variantLists, divergence, layout, addHistoryEntry, createSnapshot, recordStep, reorderOnServer]);
+
+  // The index variant deletes by position - clickedValue is what the user saw on the row
+  const handleVariantDelete = useCallback((variantType, id, clickedValue) => {
+    const variant = getVariant(variantType);
+    const list = variantLists[variantType];
+    const deletedIndex = findItemIndex(variant, list.items, id);
+    if (deletedIndex === -1) {
+      return;
+    }
+
+    const deletedValue = getItemValue(list.items[deletedIndex]);
+    if (variant.capabilities.checksDivergence) {
+      divergence.expectDelete(clickedValue ?? deletedValue);
+    }
+    recordStep(createDeleteStep(variantType, list.items, deletedIndex));
+    const newItems = list.deleteItem(id);
+    const snapshot = createSnapshot(variantType, newItems);
+    addHistoryEntry(
+      variantType,
+      createMessage('messages.deleteItem', { value: deletedValue }),
+      variant.isWrong,
+      snapshot,
+      createHistoryDetails(HISTORY_OPERATIONS.DELETE, list.items, [deletedIndex])
+    );
+
+    if (variant.capabilities.syncsWithServer) {
+      removeOnServer(list.items[deletedIndex], deletedIndex);
+    }
 
-  const handleGeneratedDelete = useCallback((id) => {
-    const deletedItem = generatedVariant.items.find(item => item.id === id);
-    if (deletedItem) {
-      generatedVariant.deleteItem(id);
+    // Deleting by a shared key removes every item that has it
+    const deletedCount = list.items.length - newItems.length;
+    if (deletedCount > 1) {
       addHistoryEntry(
-        VARIANT_TYPES.GENERATED,
-        MESSAGES.DELETE_ITEM(deletedItem.value, 'ID')
+        variantType,
+        createMessage('messages.duplicateDelete', { id, count: deletedCount }),
+        true,
+        snapshot,
+        createHistoryDetails(HISTORY_OPERATIONS.DUPLICATE, list.items, [deletedIndex])
       );
     }
-  }, [generatedVariant, addHistoryEntry]);
+  }, [variantLists, divergence, addHistoryEntry, createSnapshot, recordStep, removeOnServer]);
+
+  // Selection of the index variant is kept by index - after a reorder it points at different rows
+  const handleVariantDeleteSelected = useCallback((variantType) => {
+    const variant = getVariant(variantType);
+    const list = variantLists[variantType];
+    const previousItems = list.items;
+    const { items: newItems, deletedIndexes } = list.deleteSelected();
+    if (deletedIndexes.length === 0) {
+      return;
+    }
 
-  const handleAddGeneratedItem = useCallback(() => {
-    const newValue = `Nová položka ${generatedVariant.items.length + 1}`;
-    const newItem = createItemWithId(newValue);
-    generatedVariant.addItem(newItem);
+    const deletedValues = deletedIndexes.map(index => getItemValue(previousItems[index]));
+    if (variant.capabilities.checksDivergence) {
+      deletedValues.forEach(value => divergence.expectDelete(value));
+    }
+    createGroupDeleteSteps(variantType, previousItems, deletedIndexes).forEach(recordStep);
+    if (variant.capabilities.syncsWithServer) {
+      deletedIndexes.forEach(index => removeOnServer(previousItems[index], index));
+    }
     addHistoryEntry(
-      VARIANT_TYPES.GENERATED,
-      MESSAGES.ADD_ITEM(newValue)
+      variantType,
+      createMessage('messages.deleteGroup', {
+        count: deletedIndexes.length,
+        values: deletedValues.join(', ')
+      }),
+      variant.isWrong,
+      createSnapshot(variantType, newItems),
+      createHistoryDetails(HISTORY_OPERATIONS.DELETE_GROUP, previousItems, deletedIndexes)
     );
-  }, [generatedVariant, addHistoryEntry]);
+  }, [variantLists, divergence, addHistoryEntry, createSnapshot, recordStep, removeOnServer]);
 
-  // Handlers for correct variant
-  const handleCorrectDragEnd = useCallback((event) => {
-    const result = correctVariant.handleDragEnd(event);
-    if (result) {
+  // The index variant applies edits by index - the row under an open editor may already be a different item
+  const handleVariantEdit = useCallback((variantType, id, newValue, editedValue) => {
+    const variant = getVariant(variantType);
+    const list = variantLists[variantType];
+    const editedIndex = findItemIndex(variant, list.items, id);
+    if (editedIndex === -1) {
+      return;
+    }
+
+    const overwrittenValue = getItemValue(list.items[editedIndex]);
+    const sharedCount = variant.capabilities.checksDuplicates
+      ? countItemsWithId(variant, list.items, id)
+      : 0;
+    if (variant.capabilities.checksDivergence) {
+      divergence.expectEdit(editedValue, newValue);
+    }
+    recordStep(createEditStep(variantType, list.items, editedIndex, newValue));
+    const newItems = list.updateItem(id, newValue);
+    if (variant.capabilities.syncsWithServer) {
+      updateOnServer(id, newValue, overwrittenValue);
+    }
+    const snapshot = createSnapshot(variantType, newItems);
+
+    addHistoryEntry(
+      variantType,
+      createMessage('messages.editItem', { value: overwrittenValue, newValue }),
+      false,
+      snapshot,
+      createHistoryDetails(HISTORY_OPERATIONS.EDIT, newItems, [editedIndex])
+    );
+
+    if (variant.capabilities.checksDivergence && overwrittenValue !== editedValue) {
       addHistoryEntry(
-        VARIANT_TYPES.CORRECT,
-        `Přesunuto položku s ID ${result.activeId} na pozici ${result.newIndex}`
+        variantType,
+        createMessage('messages.divergenceEdit', { edited: editedValue, changed: overwrittenValue }),
+        true,
+        snapshot,
+        createHistoryDetails(HISTORY_OPERATIONS.DIVERGENCE, newItems, [editedIndex])
       );
     }
-  }, [correctVariant, addHistoryEntry]);
 
-  const handleCorrectDelete = useCallback((id) => {
-    const deletedItem = correctVariant.items.find(item => item.id === id);
-    if (deletedItem) {
-      correctVariant.deleteItem(id);
+    // Editing by a shared key renames every item that has it
+    if (sharedCount > 1) {
       addHistoryEntry(
-        VARIANT_TYPES.CORRECT,
-        MESSAGES.DELETE_ITEM(deletedItem.value, 'ID')
+        variantType,
+        createMessage('messages.duplicateEdit', { id, count: sharedCount }),
+        true,
+        snapshot,
+        createHistoryDetails(HISTORY_OPERATIONS.DUPLICATE, newItems, [editedIndex])
       );
+    } else {
+      reportDuplicateKey(variantType, newItems, newValue, snapshot);
+    }
+  }, [
+    variantLists,
+    divergence,
+    addHistoryEntry,
+    createSnapshot,
+    recordStep,
+    reportDuplicateKey,
+    updateOnServer
+  ]);
+
+  const handleVariantAddItem = useCallback((variantType) => {
+    const variant = getVariant(variantType);
+    const list = variantLists[variantType];
+    const newValue = translate(language, 'items.newItem', {
+      number: list.items.length + 1
+    });
+    const newItem = createVariantItem(variant, newValue, idFactories, generatedIdType);
+    const newItems = list.addItem(newItem);
+    if (variant.capabilities.syncsWithServer) {
+      createOnServer(newItem);
     }
-  }, [correctVariant, addHistoryEntry]);
+    recordStep(createAddStep(variantType, newValue));
+    addHistoryEntry(
+      variantType,
+      createMessage('messages.addItem', { value: newValue }),
+      false,
+      createSnapshot(variantType, newItems),
+      createHistoryDetails(HISTORY_OPERATIONS.ADD, newItems, [newItems.length - 1])
+    );
+  }, [
+    variantLists,
+    idFactories,
+    generatedIdType,
+    language,
+    addHistoryEntry,
+    createSnapshot,
+    recordStep,
+    createOnServer
+  ]);
+
+  // Copies the first item's value - with value IDs both rows share one key
+  const handleVariantAddDuplicate = useCallback((variantType) => {
+    const variant = getVariant(variantType);
+    const list = variantLists[variantType];
+    if (list.items.length === 0) {
+      return;
+    }
+
+    const value = getItemValue(list.items[0]);
+    const newItems = list.addItem(createVariantItem(variant, value, idFactories, generatedIdType));
+    const snapshot = createSnapshot(variantType, newItems);
+    recordStep(createAddStep(variantType, value));
+    addHistoryEntry(
+      variantType,
+      createMessage('messages.addItem', { value }),
+      false,
+      snapshot,
+      createHistoryDetails(HISTORY_OPERATIONS.ADD, newItems, [newItems.length - 1])
+    );
+    reportDuplicateKey(variantType, newItems, value, snapshot);
+  }, [
+    variantLists,
+    idFactories,
+    generatedIdType,
+    addHistoryEntry,
+    createSnapshot,
+    recordStep,
+    reportDuplicateKey
+  ]);
+
+  // Re-seed a variant's list with the currently selected ID generator
+  const handleVariantReseed = useCallback((variantType) => {
+    const newItems = createVariantItems(
+      getVariant(variantType),
+      translate(language, 'items.initial'),
+      idFactories,
+      generatedIdType
+    );
+    variantLists[variantType].setItems(newItems);
+    addHistoryEntry(
+      variantType,
+      createMessage('messages.reseedItems', { generator: ID_GENERATOR_LABELS[generatedIdType] }),
+      false,
+      createSnapshot(variantType, newItems),
+      createHistoryDetails(HISTORY_OPERATIONS.RESEED)
+    );
+  }, [variantLists, idFactories, generatedIdType, language, addHistoryEntry, createSnapshot]);
+
+  // Imported data replaces the lists of all variants; IDs from the data are kept
+  const handleImportItems = useCallback((text, format, idType) => {
+    const records = parseListData(text, format);
+    if (!records) {
+      return null;
+    }
+
+    // Incremental IDs in the data must not be issued again by the counter
+    restoreIncrementalCounter(findMaxIncrementalId(records));
+
+    const snapshot = Object.fromEntries(VARIANTS.map(variant => [
+      variant.type,
+      createImportedVariantItems(variant, records, idFactories, idType)
+    ]));
+    // Duplicate IDs from the data were regenerated, so only count the ones that survived
+    const result = {
+      count: records.length,
+      kept: snapshot[IMPORT_ID_VARIANT.type].filter((item, index) => item.id === records[index].id).length
+    };
+
+    restoreSnapshot(snapshot);
+    clearSelections();
+    addHistoryEntry(
+      HISTORY_TYPES.IMPORT,
+      createMessage('messages.importItems', result),
+      false,
+      snapshot,
+      createHistoryDetails(HISTORY_OPERATIONS.IMPORT)
+    );
+
+    return result;
+  }, [idFactories, restoreSnapshot, clearSelections, addHistoryEntry]);
 
   // Reset functionality
   const handleReset = useCallback(() => {
-    wrongVariant.resetItems();
-    generatedVariant.setItems(addIdsToValues(INITIAL_ITEMS));
-    correctVariant.setItems(addIdsToValues(INITIAL_ITEMS, 'incremental'));
-    clearHistory();
-  }, [wrongVariant, generatedVariant, correctVariant, clearHistory]);
+    const snapshot = createInitialSnapshot(
+      translate(language, 'items.initial'),
+      idFactories,
+      generatedIdType
+    );
+    restoreSnapshot(snapshot);
+    clearHistory(snapshot);
+    clearSelections();
+
+    const kanbanValues = translate(language, 'items.kanban');
+    setWrongKanbanColumns(createKanbanColumns(kanbanValues));
+    setCorrectKanbanColumns(createKanbanColumns(kanbanValues, ID_GENERATOR_TYPES.INCREMENTAL));
+
+    const treeNodes = translate(language, 'items.tree');
+    resetWrongTree(createTree(treeNodes));
+    resetCorrectTree(createTree(treeNodes, ID_GENERATOR_TYPES.INCREMENTAL));
+  }, [
+    language,
+    idFactories,
+    generatedIdType,
+    restoreSnapshot,
+    clearHistory,
+    clearSelections,
+    setWrongKanbanColumns,
+    setCorrectKanbanColumns,
+    resetWrongTree,
+    resetCorrectTree
+  ]);
+
+  // Large lists
+  const { setItems: setLargeWrongItems, handleDragEnd: handleLargeWrongMove } = largeWrongList;
+  const { setItems: setLargeCorrectItems, handleDragEnd: handleLargeCorrectMove } = largeCorrectList;
+  const { measureLatency, resetMetrics } = performanceMonitor;
+
+  const handleSeedLargeLists = useCallback((count, idType) => {
+    const values = Array.from({ length: count }, (_, index) => (
+      translate(language, 'items.largeItem', { number: index + 1 })
+    ));
+    setLargeWrongItems(values);
+    setLargeCorrectItems(createGeneratedItems(values, idFactories, idType));
+    resetMetrics();
+  }, [language, idFactories, setLargeWrongItems, setLargeCorrectItems, resetMetrics]);
+
+  const handleLargeWrongDragEnd = useCallback((event) => {
+    measureLatency(VARIANT_TYPES.WRONG, () => handleLargeWrongMove(event));
+  }, [measureLatency, handleLargeWrongMove]);
+
+  const handleLargeCorrectDragEnd = useCallback((event) => {
+    measureLatency(VARIANT_TYPES.CORRECT, () => handleLargeCorrectMove(event));
+  }, [measureLatency, handleLargeCorrectMove]);
+
+  // Undo/redo functionality
+  const handleUndo = useCallback(() => {
+    restoreSnapshot(undo());
+  }, [undo, restoreSnapshot]);
+
+  const handleRedo = useCallback(() => {
+    restoreSnapshot(redo());
+  }, [redo, restoreSnapshot]);
+
+  const handleJumpTo = useCallback((entry) => {
+    restoreSnapshot(jumpTo(entry));
+  }, [jumpTo, restoreSnapshot]);
+
+  // Scenario recording
+  const { startRecording, loadScript } = scenario;
+
+  const handleStartRecording = useCallback(() => {
+    startRecording(currentSnapshot);
+  }, [startRecording, currentSnapshot]);
+
+  const handleLoadScript = useCallback((json) => {
+    const script = parseScript(json);
+    if (script) {
+      loadScript(script);
+    }
+    return !!script;
+  }, [loadScript]);
+
+  // Persist everything needed to restore the session after reload
+  const stateToPersist = useMemo(() => ({
+    variants: currentSnapshot,
+    ui: {
+      activeTab,
+      showDebug,
+      generatedIdType,
+      layout,
+      collisionTypes,
+      a11ySettings,
+      renderMode,
+      dropAnimation: dropAnimationType,
+      serverSync: serverSettings,
+      theme: themePreference,
+      language
+    },
+    history: { entries: history, position, baseline }
+  }), [
+    currentSnapshot,
+    activeTab,
+    showDebug,
+    generatedIdType,
+    layout,
+    collisionTypes,
+    a11ySettings,
+    renderMode,
+    dropAnimationType,
+    serverSettings,
+    themePreference,
+    language,
+    history,
+    position,
+    baseline
+  ]);
+
+  const saveResult = usePersistence(stateToPersist);
+
+  // Shareable link - tab, debug flag and items of all variants in the URL hash
+  const stateToShare = useMemo(() => ({
+    activeTab,
+    showDebug,
+    variants: currentSnapshot
+  }), [activeTab, showDebug, currentSnapshot]);
+
+  // Browser back/forward moves through tab changes
+  const handleUrlNavigate = useCallback((sharedState) => {
+    if (sharedState.activeTab) {
+      setActiveTab(sharedState.activeTab);
+    }
+    if (sharedState.showDebug !== undefined) {
+      setShowDebug(sharedState.showDebug);
+    }
+  }, []);
+
+  useUrlState(stateToShare, handleUrlNavigate);
+
+  // Collision detection is chosen per variant
+  const collisionTypeHandlers = useMemo(() => Object.fromEntries(
+    Object.keys(DEFAULT_COLLISION_TYPES).map(variantType => [
+      variantType,
+      (type) => setCollisionTypes(prev => ({ ...prev, [variantType]: type }))
+    ])
+  ), []);
+
+  // Screen reader announcements name items by value and position in the active language
+  const dndAccessibility = useMemo(() => createDndAccessibility(
+    createTranslator(language),
+    a11ySettings[A11Y_SETTINGS.VERBOSE_ANNOUNCEMENTS]
+  ), [language, a11ySettings]);
+
+  const handleA11ySettingChange = useCallback((key, value) => {
+    setA11ySettings(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  // DragOverlay mode: null keeps the default rendering (the original node is transformed)
+  const dragOverlay = useMemo(() => (
+    renderMode === RENDER_MODES.OVERLAY
+      ? { dropAnimation: getDropAnimation(dropAnimationType, a11ySettings[A11Y_SETTINGS.REDUCED_MOTION]) }
+      : null
+  ), [renderMode, dropAnimationType, a11ySettings]);
+
+  const appClassName = [
+    'app',
+    a11ySettings[A11Y_SETTINGS.REDUCED_MOTION] && 'reduce-motion',
+    a11ySettings[A11Y_SETTINGS.STRONG_FOCUS] && 'strong-focus'
+  ].filter(Boolean).join(' ');
 
   // Toggle debug
   const handleDebugToggle = useCallback(() => {
@@ -155,57 +1071,211 @@ const App = () => {
     return activeTab === VARIANT_TYPES.ALL || activeTab === variantType;
   }, [activeTab]);
 
+  // Keep the document language in sync for screen readers and hyphenation
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
   return (
-    <div className="app">
-      <Header />
+    <I18nProvider language={language}>
+      <ThemeProvider preference={themePreference}>
+        <div className={appClassName}>
+          <Header />
+          <StorageWarning saveResult={saveResult} />
       
-      <Controls
-        activeTab={activeTab}
-        onTabChange={setActiveTab}
-        showDebug={showDebug}
-        onDebugToggle={handleDebugToggle}
-        onReset={handleReset}
-      />
-
-      <div className="main-content">
-        <div className={`examples ${activeTab}`}>
-          {shouldShowVariant(VARIANT_TYPES.WRONG) && (
-            <WrongVariant
-              items={wrongVariant.items}
-              sensors={sensors}
-              onDragEnd={handleWrongDragEnd}
-              onDelete={handleWrongDelete}
-              showDebug={showDebug}
+          <Controls
+            activeTab={activeTab}
+            onTabChange={setActiveTab}
+            showDebug={showDebug}
+            onDebugToggle={handleDebugToggle}
+            onReset={handleReset}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            layout={layout}
+            onLayoutChange={setLayout}
+            renderMode={renderMode}
+            onRenderModeChange={setRenderMode}
+            dropAnimation={dropAnimationType}
+            onDropAnimationChange={setDropAnimationType}
+            themePreference={themePreference}
+            onThemeChange={setThemePreference}
+            language={language}
+            onLanguageChange={setLanguage}
+          />
+
+          <div className="main-content">
+            <div className={`examples ${getVariant(activeTab) ? 'single' : activeTab}`}>
+              {VARIANTS.filter(variant => shouldShowVariant(variant.type)).map(variant => {
+                const list = variantLists[variant.type];
+
+                return (
+                  <VariantPanel
+                    key={variant.type}
+                    variant={variant}
+                    items={list.items}
+                    sensors={sensors}
+                    onDragEnd={handleVariantDragEnd}
+                    onDelete={handleVariantDelete}
+                    onEdit={handleVariantEdit}
+                    selectedIds={list.selectedIds}
+                    onSelect={list.selectItem}
+                    onDeleteSelected={handleVariantDeleteSelected}
+                    onClearSelection={list.clearSelection}
+                    onAddItem={handleVariantAddItem}
+                    onAddDuplicate={handleVariantAddDuplicate}
+                    idType={generatedIdType}
+                    onIdTypeChange={setGeneratedIdType}
+                    onReseed={handleVariantReseed}
+                    divergentIndexes={
+                      variant.capabilities.checksDivergence ? divergence.divergentIndexes : undefined
+                    }
+                    layout={layout}
+                    collisionType={collisionTypes[variant.type]}
+                    onCollisionTypeChange={collisionTypeHandlers[variant.type]}
+                    accessibility={dndAccessibility}
+                    dragOverlay={dragOverlay}
+                    serverSync={variant.capabilities.syncsWithServer ? serverSyncProps : undefined}
+                    showDebug={showDebug}
+                  />
+                );
+              })}
+
+              {activeTab === VARIANT_TYPES.KANBAN && (
+                <>
+                  <KanbanBoard
+                    columns={wrongKanban.columns}
+                    isWrong={true}
+                    sensors={sensors}
+                    onDragStart={wrongKanban.handleDragStart}
+                    onDragOver={wrongKanban.handleDragOver}
+                    onDragEnd={wrongKanban.handleDragEnd}
+                    onDragCancel={wrongKanban.handleDragCancel}
+                    onDelete={wrongKanban.deleteItem}
+                    accessibility={dndAccessibility}
+                    dragOverlay={dragOverlay}
+                    showDebug={showDebug}
+                  />
+                  <KanbanBoard
+                    columns={correctKanban.columns}
+                    isWrong={false}
+                    sensors={sensors}
+                    onDragStart={correctKanban.handleDragStart}
+                    onDragOver={correctKanban.handleDragOver}
+                    onDragEnd={correctKanban.handleDragEnd}
+                    onDragCancel={correctKanban.handleDragCancel}
+                    onDelete={correctKanban.deleteItem}
+                    accessibility={dndAccessibility}
+                    dragOverlay={dragOverlay}
+                    showDebug={showDebug}
+                  />
+                </>
+              )}
+
+              {activeTab === VARIANT_TYPES.TREE && (
+                <>
+                  <SortableTree
+                    items={wrongTree.visibleItems}
+                    collapsedIds={wrongTree.collapsedIds}
+                    activeId={wrongTree.activeId}
+                    projection={wrongTree.projection}
+                    isWrong={true}
+                    sensors={sensors}
+                    onDragStart={wrongTree.handleDragStart}
+                    onDragMove={wrongTree.handleDragMove}
+                    onDragOver={wrongTree.handleDragOver}
+                    onDragEnd={wrongTree.handleDragEnd}
+                    onDragCancel={wrongTree.handleDragCancel}
+                    onCollapse={wrongTree.toggleCollapse}
+                    onDelete={wrongTree.deleteItem}
+                    accessibility={dndAccessibility}
+                    dragOverlay={dragOverlay}
+                    showDebug={showDebug}
+                  />
+                  <SortableTree
+                    items={correctTree.visibleItems}
+                    collapsedIds={correctTree.collapsedIds}
+                    activeId={correctTree.activeId}
+                    projection={correctTree.projection}
+                    isWrong={false}
+                    sensors={sensors}
+                    onDragStart={correctTree.handleDragStart}
+                    onDragMove={correctTree.handleDragMove}
+                    onDragOver={correctTree.handleDragOver}
+                    onDragEnd={correctTree.handleDragEnd}
+                    onDragCancel={correctTree.handleDragCancel}
+                    onCollapse={correctTree.toggleCollapse}
+                    onDelete={correctTree.deleteItem}
+                    accessibility={dndAccessibility}
+                    dragOverlay={dragOverlay}
+                    showDebug={showDebug}
+                  />
+                </>
+              )}
+
+              {activeTab === VARIANT_TYPES.LARGE && (
+                <LargeListPanel
+                  wrongItems={largeWrongList.items}
+                  correctItems={largeCorrectList.items}
+                  sensors={sensors}
+                  onSeed={handleSeedLargeLists}
+                  onWrongDragEnd={handleLargeWrongDragEnd}
+                  onCorrectDragEnd={handleLargeCorrectDragEnd}
+                  fps={performanceMonitor.fps}
+                  latencies={performanceMonitor.latencies}
+                  renderCounts={performanceMonitor.renderCounts}
+                  countRender={performanceMonitor.countRender}
+                  accessibility={dndAccessibility}
+                  dragOverlay={dragOverlay}
+                  showDebug={showDebug}
+                />
+              )}
+            </div>
+
+            <ScenarioPanel
+              script={scenario.script}
+              isRecording={scenario.isRecording}
+              isPlaying={scenario.isPlaying}
+              stepIndex={scenario.stepIndex}
+              onStartRecording={handleStartRecording}
+              onStopRecording={scenario.stopRecording}
+              onPlayStep={scenario.playStep}
+              onPlay={scenario.play}
+              onPause={scenario.pause}
+              onRewind={scenario.rewind}
+              onLoadScript={handleLoadScript}
             />
-          )}
-
-          {shouldShowVariant(VARIANT_TYPES.GENERATED) && (
-            <GeneratedVariant
-              items={generatedVariant.items}
-              sensors={sensors}
-              onDragEnd={handleGeneratedDragEnd}
-              onDelete={handleGeneratedDelete}
-              onAddItem={handleAddGeneratedItem}
-              showDebug={showDebug}
+
+            <ListTransferPanel
+              variants={currentSnapshot}
+              defaultIdType={generatedIdType}
+              onImport={handleImportItems}
             />
-          )}
-
-          {shouldShowVariant(VARIANT_TYPES.CORRECT) && (
-            <CorrectVariant
-              items={correctVariant.items}
-              sensors={sensors}
-              onDragEnd={handleCorrectDragEnd}
-              onDelete={handleCorrectDelete}
-              showDebug={showDebug}
+
+            <HistoryPanel
+              history={recentHistory}
+              allHistory={allHistory}
+              onEntryClick={handleJumpTo}
             />
-          )}
-        </div>
 
-        <HistoryPanel history={recentHistory} />
-      </div>
+            <A11ySettingsPanel settings={a11ySettings} onChange={handleA11ySettingChange} />
 
-      <ExplanationSection />
-    </div>
+            <IdBenchmarkPanel
+              isRunning={benchmark.isRunning}
+              progress={benchmark.progress}
+              results={benchmark.results}
+              parameters={benchmark.parameters}
+              error={benchmark.error}
+              onStart={benchmark.start}
+              onCancel={benchmark.cancel}
+            />
+          </div>
+
+          <ExplanationSection />
+        </div>
+      </ThemeProvider>
+    </I18nProvider>
   );
 };
 
@@ -0,0 +1,31 @@
+// src/components/A11ySettingsPanel.jsx
+// Komponenta pro nastavení přístupnosti
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { A11Y_SETTINGS } from '../constants';
+import { useTranslation } from '../hooks/useTranslation';
+
+const A11ySettingsPanel = ({ settings, onChange }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="a11y-panel">
+      <h3>{t('a11y.title')}</h3>
+      <div className="a11y-options">
+        {Object.values(A11Y_SETTINGS).map(key => (
+          <label key={key} className="a11y-option">
+            <input
+              type="checkbox"
+              checked={settings[key]}
+              onChange={(event) => onChange(key, event.target.checked)}
+            />
+            {t(`a11y.${key}`)}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(A11ySettingsPanel);
@@ -0,0 +1,57 @@
+// src/components/CollisionDebugOverlay.jsx
+// Debug overlay - vykreslí obdélníky droppable prvků a označí aktuální cíl (over)
+// Tato komponenta neobsahuje business logiku, pouze čte stav z DndContext
+// Musí být vykreslena uvnitř DndContext
+
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { useDndContext } from '@dnd-kit/core';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * @param {number} value - Hodnota kolize (vzdálenost nebo poměr překryvu)
+ * @returns {string} Zkrácená hodnota pro popisek
+ */
+const formatCollisionValue = (value) => {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+const CollisionDebugOverlay = () => {
+  const { active, over, droppableRects, collisions } = useDndContext();
+  const { t } = useTranslation();
+
+  // Obdélníky se měří jen během tažení
+  if (!active) {
+    return null;
+  }
+
+  const collisionValues = new Map(
+    (collisions || []).map(collision => [collision.id, collision.data?.value])
+  );
+
+  return createPortal(
+    <div className="collision-overlay" aria-hidden="true">
+      {Array.from(droppableRects.entries()).map(([id, rect]) => {
+        const isOver = over?.id === id;
+        const value = collisionValues.get(id);
+
+        return (
+          <div
+            key={id}
+            className={`collision-rect ${isOver ? 'over' : ''}`}
+            style={{ top: rect.top, left: rect.left, width: rect.width, height: rect.height }}
+          >
+            <span className="collision-label">
+              {isOver && `${t('collision.over')} · `}
+              {id}
+              {typeof value === 'number' && ` · ${formatCollisionValue(value)}`}
+            </span>
+          </div>
+        );
+      })}
+    </div>,
+    document.body
+  );
+};
+
+export default CollisionDebugOverlay;
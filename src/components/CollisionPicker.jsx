@@ -0,0 +1,26 @@
+// src/components/CollisionPicker.jsx
+// Komponenta pro výběr algoritmu detekce kolizí
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { COLLISION_DETECTION_TYPES, COLLISION_DETECTION_LABELS } from '../constants';
+import { useTranslation } from '../hooks/useTranslation';
+
+const CollisionPicker = ({ id, value, onChange }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="collision-picker">
+      <label htmlFor={id}>{t('collision.label')}</label>
+      <select id={id} value={value} onChange={(event) => onChange(event.target.value)}>
+        {Object.values(COLLISION_DETECTION_TYPES).map(type => (
+          <option key={type} value={type}>
+            {COLLISION_DETECTION_LABELS[type]}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default React.memo(CollisionPicker);
@@ -4,27 +4,131 @@
 
 import React from 'react';
 import TabNavigation from './TabNavigation';
-import { LABELS } from '../constants';
+import { LANGUAGES } from '../i18n';
+import { LAYOUT_TYPES, RENDER_MODES, DROP_ANIMATIONS, THEME_TYPES } from '../constants';
+import { useTranslation } from '../hooks/useTranslation';
+import { useTheme } from '../hooks/useTheme';
+
+const Controls = ({
+  activeTab,
+  onTabChange,
+  showDebug,
+  onDebugToggle,
+  onReset,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  layout,
+  onLayoutChange,
+  renderMode,
+  onRenderModeChange,
+  dropAnimation,
+  onDropAnimationChange,
+  themePreference,
+  onThemeChange,
+  language,
+  onLanguageChange
+}) => {
+  const { t } = useTranslation();
+  const { theme } = useTheme();
 
-const Controls = ({ activeTab, onTabChange, showDebug, onDebugToggle, onReset }) => {
   return (
     <div className="controls">
       <TabNavigation activeTab={activeTab} onTabChange={onTabChange} />
       
       <div className="action-buttons">
+        <button 
+          className="undo-button"
+          onClick={onUndo}
+          disabled={!canUndo}
+        >
+          {t('buttons.undo')}
+        </button>
+        <button 
+          className="redo-button"
+          onClick={onRedo}
+          disabled={!canRedo}
+        >
+          {t('buttons.redo')}
+        </button>
         <button 
           className="debug-toggle"
           onClick={onDebugToggle}
           aria-pressed={showDebug}
         >
-          {showDebug ? LABELS.BUTTONS.DEBUG_ON : LABELS.BUTTONS.DEBUG_OFF}
+          {showDebug ? t('buttons.debugOn') : t('buttons.debugOff')}
         </button>
         <button 
           className="reset-button"
           onClick={onReset}
         >
-          {LABELS.BUTTONS.RESET}
+          {t('buttons.reset')}
         </button>
+        <select
+          className="layout-select"
+          value={layout}
+          onChange={(event) => onLayoutChange(event.target.value)}
+          aria-label={t('layout.label')}
+        >
+          {Object.values(LAYOUT_TYPES).map(type => (
+            <option key={type} value={type}>
+              {t(`layout.${type}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          className="render-mode-select"
+          value={renderMode}
+          onChange={(event) => onRenderModeChange(event.target.value)}
+          aria-label={t('dragOverlay.modeLabel')}
+        >
+          {Object.values(RENDER_MODES).map(mode => (
+            <option key={mode} value={mode}>
+              {t(`dragOverlay.modes.${mode}`)}
+            </option>
+          ))}
+        </select>
+        {renderMode === RENDER_MODES.OVERLAY && (
+          <select
+            className="drop-animation-select"
+            value={dropAnimation}
+            onChange={(event) => onDropAnimationChange(event.target.value)}
+            aria-label={t('dragOverlay.animationLabel')}
+          >
+            {Object.values(DROP_ANIMATIONS).map(type => (
+              <option key={type} value={type}>
+                {t(`dragOverlay.animations.${type}`)}
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          className="theme-select"
+          value={themePreference}
+          onChange={(event) => onThemeChange(event.target.value)}
+          aria-label={t('theme.label')}
+        >
+          {Object.values(THEME_TYPES).map(type => (
+            <option key={type} value={type}>
+              {type === THEME_TYPES.SYSTEM
+                ? t('theme.system', { theme: t(`theme.names.${theme}`) })
+                : t(`theme.${type}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          className="language-select"
+          value={language}
+          onChange={(event) => onLanguageChange(event.target.value)}
+          aria-label={t('language.label')}
+        >
+          {Object.values(LANGUAGES).map(code => (
+            <option key={code} value={code}>
+              {t(`language.${code}`)}
+            </option>
+          ))}
+        </select>
       </div>
     </div>
   );
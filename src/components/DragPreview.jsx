@@ -0,0 +1,41 @@
+// src/components/DragPreview.jsx
+// Komponenta náhledu tažené položky vykresleného v DragOverlay
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { ID_GENERATOR_LABELS } from '../constants';
+import { useTranslation } from '../hooks/useTranslation';
+
+const DragPreview = ({ id, value, idType, isWrong, groupCount = 0, showDebugInfo }) => {
+  const { t } = useTranslation();
+
+  const getDebugLabel = () => {
+    if (typeof id === 'number') {
+      return `Index ${id}`;
+    }
+    return id;
+  };
+
+  return (
+    <div className={`sortable-item drag-preview ${isWrong ? 'wrong' : 'correct'}`}>
+      <div className="item-content">
+        <span className="item-value">{value}</span>
+        {idType && (
+          <span className={`id-type-badge ${idType}`}>
+            {ID_GENERATOR_LABELS[idType] || idType}
+          </span>
+        )}
+        {showDebugInfo && (
+          <span className="debug-info">
+            ID: {getDebugLabel()}
+          </span>
+        )}
+      </div>
+      {groupCount > 1 && (
+        <span className="drag-preview-count">{t('dragOverlay.groupCount', { count: groupCount })}</span>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(DragPreview);
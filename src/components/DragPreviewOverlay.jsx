@@ -0,0 +1,35 @@
+// src/components/DragPreviewOverlay.jsx
+// Komponenta DragOverlay s náhledem právě tažené položky
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+//
+// Musí být uvnitř DndContext - taženou položku čte z useDndContext, hodnotu a typ ID
+// z data useSortable. Náhled je position: fixed, takže ho neořízne scrollovací kontejner.
+
+import React from 'react';
+import { DragOverlay, useDndContext } from '@dnd-kit/core';
+import DragPreview from './DragPreview';
+
+const DragPreviewOverlay = ({ dropAnimation, isWrong, selectedIds = [], showDebug }) => {
+  const { active } = useDndContext();
+  const data = active?.data.current;
+
+  // Při tažení vybrané položky se přesouvá celá skupina
+  const groupCount = active && selectedIds.includes(active.id) ? selectedIds.length : 0;
+
+  return (
+    <DragOverlay className="drag-overlay" dropAnimation={dropAnimation}>
+      {active ? (
+        <DragPreview
+          id={active.id}
+          value={data?.value ?? String(active.id)}
+          idType={data?.idType}
+          isWrong={isWrong}
+          groupCount={groupCount}
+          showDebugInfo={showDebug}
+        />
+      ) : null}
+    </DragOverlay>
+  );
+};
+
+export default React.memo(DragPreviewOverlay);
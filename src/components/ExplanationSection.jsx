@@ -3,46 +3,40 @@
 // Tato komponenta neobsahuje business logiku, pouze statický obsah
 
 import React from 'react';
+import { useTranslation } from '../hooks/useTranslation';
 
 const ExplanationSection = () => {
+  const { t } = useTranslation();
+
   return (
     <footer className="explanation">
-      <h2>📚 Vysvětlení problému</h2>
+      <h2>{t('explanation.title')}</h2>
       <div className="explanation-content">
         <div className="explanation-section">
-          <h3>Proč se to děje?</h3>
-          <p>
-            Když použiješ index jako ID, vytváříš nestabilní identifikátor. 
-            Po smazání položky se indexy všech následujících položek posunou o jedna dolů.
-            DnD Kit si ale pamatuje původní ID (indexy) a při další manipulaci pracuje s nesprávnými položkami.
-          </p>
+          <h3>{t('explanation.why.title')}</h3>
+          <p>{t('explanation.why.text')}</p>
         </div>
         
         <div className="explanation-section">
-          <h3>Jak to funguje správně?</h3>
-          <p>
-            Unikátní ID zůstává s položkou napořád, bez ohledu na její pozici v seznamu.
-            To zajišťuje, že DnD Kit vždy ví, s kterou položkou pracuje.
-          </p>
+          <h3>{t('explanation.how.title')}</h3>
+          <p>{t('explanation.how.text')}</p>
         </div>
 
         <div className="explanation-section">
-          <h3>Jak vygenerovat ID když je nemáš?</h3>
+          <h3>{t('explanation.generate.title')}</h3>
           <ul>
-            <li><strong>nanoid:</strong> Krátké, URL-safe, rychlé (doporučeno)</li>
-            <li><strong>crypto.randomUUID():</strong> Standardní UUID v moderních prohlížečích</li>
-            <li><strong>timestamp + random:</strong> {`\${Date.now()}-\${Math.random()}`}</li>
-            <li><strong>Simple counter:</strong> Pro jednoduchou aplikaci</li>
+            {t('explanation.generate.items').map(([term, text]) => (
+              <li key={term}><strong>{term}</strong> {text}</li>
+            ))}
           </ul>
         </div>
         
         <div className="explanation-section">
-          <h3>Best practices:</h3>
+          <h3>{t('explanation.bestPractices.title')}</h3>
           <ul>
-            <li>Použij ID z databáze (pokud data přicházejí z backendu)</li>
-            <li>Vygeneruj ID při prvním vytvoření položky, ne při každém renderu</li>
-            <li>Nikdy nepoužívej index, Math.random() nebo jiné nestabilní hodnoty</li>
-            <li>Zachovej ID i při ukládání do localStorage/sessionStorage</li>
+            {t('explanation.bestPractices.items').map(text => (
+              <li key={text}>{text}</li>
+            ))}
           </ul>
         </div>
       </div>
@@ -50,4 +44,4 @@ const ExplanationSection = () => {
   );
 };
 
-export default React.memo(ExplanationSection);
\ No newline at end of file
+export default React.memo(ExplanationSection);
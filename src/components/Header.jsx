@@ -3,13 +3,16 @@
 // Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
 
 import React from 'react';
+import { useTranslation } from '../hooks/useTranslation';
 
 const Header = () => {
+  const { t } = useTranslation();
+
   return (
     <header className="header">
-      <h1>@dnd-kit: Problém s indexy jako ID</h1>
+      <h1>{t('app.title')}</h1>
       <p className="subtitle">
-        Interaktivní demonstrace proč nepoužívat indexy jako identifikátory
+        {t('app.subtitle')}
       </p>
     </header>
   );
@@ -0,0 +1,127 @@
+// src/components/HistoryBrowser.jsx
+// Komponenta pro procházení celé historie - filtry, vyhledávání a export
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React, { useState, useMemo, useCallback } from 'react';
+import HistoryItem from './HistoryItem';
+import { translateMessage } from '../i18n';
+import { downloadFile, downloadJson } from '../utils/download';
+import {
+  filterHistoryEntries,
+  createHistoryRows,
+  historyRowsToCsv
+} from '../utils/historyExport';
+import { HISTORY_SOURCES } from '../variants';
+import { useTranslation } from '../hooks/useTranslation';
+
+const SOURCE_TYPES = HISTORY_SOURCES.map(source => source.type);
+
+const HistoryBrowser = ({ history, onEntryClick }) => {
+  const { t } = useTranslation();
+  const [variants, setVariants] = useState(SOURCE_TYPES);
+  const [query, setQuery] = useState('');
+  const [warningsOnly, setWarningsOnly] = useState(false);
+
+  const getMessageText = useCallback((entry) => translateMessage(t, entry.message), [t]);
+
+  const filteredHistory = useMemo(() => (
+    filterHistoryEntries(history, { variants, query, warningsOnly }, getMessageText)
+  ), [history, variants, query, warningsOnly, getMessageText]);
+
+  const toggleVariant = (source) => {
+    setVariants(prevVariants => (
+      prevVariants.includes(source)
+        ? prevVariants.filter(item => item !== source)
+        : [...prevVariants, source]
+    ));
+  };
+
+  // Export obsahuje jen vyfiltrované záznamy, chronologicky od nejstaršího
+  const getExportRows = () => createHistoryRows([...filteredHistory].reverse(), getMessageText);
+
+  const handleExportJson = () => {
+    downloadJson('history.json', {
+      exportedAt: new Date().toISOString(),
+      entries: getExportRows()
+    });
+  };
+
+  const handleExportCsv = () => {
+    downloadFile('history.csv', historyRowsToCsv(getExportRows()), 'text/csv');
+  };
+
+  return (
+    <details className="history-browser">
+      <summary>{t('history.browse', { count: history.length })}</summary>
+
+      <div className="history-filters">
+        {HISTORY_SOURCES.map(source => (
+          <label key={source.type} className="history-filter">
+            <input
+              type="checkbox"
+              checked={variants.includes(source.type)}
+              onChange={() => toggleVariant(source.type)}
+            />
+            {t(source.labelKey)}
+          </label>
+        ))}
+        <label className="history-filter">
+          <input
+            type="checkbox"
+            checked={warningsOnly}
+            onChange={(event) => setWarningsOnly(event.target.checked)}
+          />
+          {t('history.warningsOnly')}
+        </label>
+        <input
+          type="search"
+          className="history-search"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder={t('history.search')}
+          aria-label={t('history.search')}
+        />
+      </div>
+
+      <div className="benchmark-actions">
+        <span className="history-count">
+          {t('history.shown', { shown: filteredHistory.length, total: history.length })}
+        </span>
+        <button
+          className="scenario-button"
+          onClick={handleExportJson}
+          disabled={filteredHistory.length === 0}
+        >
+          {t('history.exportJson')}
+        </button>
+        <button
+          className="scenario-button"
+          onClick={handleExportCsv}
+          disabled={filteredHistory.length === 0}
+        >
+          {t('history.exportCsv')}
+        </button>
+      </div>
+
+      {filteredHistory.length === 0 ? (
+        <p className="history-empty">{t('history.empty')}</p>
+      ) : (
+        <div className="history-list history-browser-list">
+          {filteredHistory.map(entry => (
+            <HistoryItem key={entry.id} entry={entry} onEntryClick={onEntryClick}>
+              {entry.operation && (
+                <span className="history-details">
+                  {t(`history.operations.${entry.operation}`)}
+                  {entry.indexes.length > 0 && ` · ${t('history.indexes')}: ${entry.indexes.join(', ')}`}
+                  {entry.ids.length > 0 && ` · ID: ${entry.ids.join(', ')}`}
+                </span>
+              )}
+            </HistoryItem>
+          ))}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default React.memo(HistoryBrowser);
@@ -0,0 +1,53 @@
+// src/components/HistoryItem.jsx
+// Komponenta pro jeden záznam historie - sdílí ji panel historie i procházení celé historie
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { translateMessage } from '../i18n';
+import { getHistoryColor } from '../variants';
+import { getColorVariable } from '../theme';
+import { useTranslation } from '../hooks/useTranslation';
+
+const getHistoryItemClassName = (entry) => {
+  const classes = ['history-item', entry.type];
+
+  if (entry.warning) {
+    classes.push('warning');
+  }
+
+  if (entry.undone) {
+    classes.push('undone');
+  }
+
+  return classes.join(' ');
+};
+
+// Barva zdroje (varianty) z registru; neznámý zdroj má výchozí okraj
+const getHistoryItemStyle = (entry) => {
+  const color = getHistoryColor(entry.type);
+  return color ? { borderLeftColor: getColorVariable(color) } : undefined;
+};
+
+/**
+ * @param {Object} entry - Záznam historie
+ * @param {Function} onEntryClick - Skok na záznam
+ * @param {React.ReactNode} children - Doplňující údaje za zprávou
+ */
+const HistoryItem = ({ entry, onEntryClick, children }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      className={getHistoryItemClassName(entry)}
+      style={getHistoryItemStyle(entry)}
+      onClick={() => onEntryClick?.(entry)}
+      title={t('history.jumpTo')}
+    >
+      <span className="history-time">{entry.timestamp}</span>
+      <span className="history-message">{translateMessage(t, entry.message)}</span>
+      {children}
+    </div>
+  );
+};
+
+export default HistoryItem;
@@ -3,36 +3,27 @@
 // Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
 
 import React from 'react';
+import HistoryBrowser from './HistoryBrowser';
+import HistoryItem from './HistoryItem';
+import { useTranslation } from '../hooks/useTranslation';
+
+const HistoryPanel = ({ history, allHistory, onEntryClick }) => {
+  const { t } = useTranslation();
 
-const HistoryPanel = ({ history }) => {
   if (!history || history.length === 0) {
     return null;
   }
 
-  const getHistoryItemClassName = (entry) => {
-    const classes = ['history-item', entry.type];
-    
-    if (entry.warning) {
-      classes.push('warning');
-    }
-    
-    return classes.join(' ');
-  };
-
   return (
     <div className="history-panel">
-      <h3>📜 Historie akcí</h3>
+      <h3>{t('history.title')}</h3>
       <div className="history-list">
-        {history.map((entry, index) => (
-          <div 
-            key={index} 
-            className={getHistoryItemClassName(entry)}
-          >
-            <span className="history-time">{entry.timestamp}</span>
-            <span className="history-message">{entry.message}</span>
-          </div>
+        {history.map((entry) => (
+          <HistoryItem key={entry.id} entry={entry} onEntryClick={onEntryClick} />
         ))}
       </div>
+
+      {allHistory && <HistoryBrowser history={allHistory} onEntryClick={onEntryClick} />}
     </div>
   );
 };
@@ -0,0 +1,181 @@
+// src/components/IdBenchmarkPanel.jsx
+// Komponenta pro benchmark a analýzu kolizí generátorů ID
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React, { useState } from 'react';
+import { getFiftyPercentCollisionCount } from '../utils/idStatistics';
+import { downloadJson } from '../utils/download';
+import { ID_GENERATOR_TYPES, ID_GENERATOR_LABELS, UI_CONSTANTS } from '../constants';
+import { useTranslation } from '../hooks/useTranslation';
+
+const formatNumber = (value, locale) => {
+  if (value === null || value === undefined) {
+    return '–';
+  }
+
+  if (!Number.isFinite(value)) {
+    return '∞';
+  }
+
+  return Math.round(value).toLocaleString(locale);
+};
+
+const formatProbability = (value) => {
+  if (value === 0) {
+    return '0';
+  }
+
+  return value < 0.001 ? value.toExponential(2) : `${(value * 100).toFixed(2)} %`;
+};
+
+const IdBenchmarkPanel = ({
+  isRunning,
+  progress,
+  results,
+  parameters,
+  error,
+  onStart,
+  onCancel
+}) => {
+  const { t, locale } = useTranslation();
+  const [count, setCount] = useState(UI_CONSTANTS.BENCHMARK_DEFAULT_COUNT);
+  const [size, setSize] = useState(UI_CONSTANTS.NANOID_DEFAULT_SIZE);
+  const [generators, setGenerators] = useState(Object.values(ID_GENERATOR_TYPES));
+
+  const toggleGenerator = (type) => {
+    setGenerators(prevGenerators => (
+      prevGenerators.includes(type)
+        ? prevGenerators.filter(item => item !== type)
+        : [...prevGenerators, type]
+    ));
+  };
+
+  const handleStart = () => {
+    const safeSize = Math.min(
+      UI_CONSTANTS.NANOID_MAX_SIZE,
+      Math.max(UI_CONSTANTS.NANOID_MIN_SIZE, size || UI_CONSTANTS.NANOID_DEFAULT_SIZE)
+    );
+    onStart(generators, count, safeSize);
+  };
+
+  // Exportují se parametry běhu, ne aktuální hodnoty formuláře
+  const handleExport = () => {
+    downloadJson('id-benchmark.json', {
+      createdAt: new Date().toISOString(),
+      count: parameters.count,
+      nanoidSize: parameters.size,
+      userAgent: navigator.userAgent,
+      results
+    });
+  };
+
+  return (
+    <details className="benchmark-panel">
+      <summary>⏱ {t('benchmark.title')}</summary>
+
+      <div className="benchmark-form">
+        <label>
+          {t('benchmark.count')}
+          <select
+            value={count}
+            onChange={(event) => setCount(Number(event.target.value))}
+            disabled={isRunning}
+          >
+            {UI_CONSTANTS.BENCHMARK_COUNTS.map(option => (
+              <option key={option} value={option}>{option.toLocaleString(locale)}</option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          {t('benchmark.size')}
+          <input
+            type="number"
+            min={UI_CONSTANTS.NANOID_MIN_SIZE}
+            max={UI_CONSTANTS.NANOID_MAX_SIZE}
+            value={size}
+            onChange={(event) => setSize(Number(event.target.value))}
+            disabled={isRunning}
+          />
+        </label>
+
+        {Object.values(ID_GENERATOR_TYPES).map(type => (
+          <label key={type} className="benchmark-generator">
+            <input
+              type="checkbox"
+              checked={generators.includes(type)}
+              onChange={() => toggleGenerator(type)}
+              disabled={isRunning}
+            />
+            {ID_GENERATOR_LABELS[type]}
+          </label>
+        ))}
+      </div>
+
+      <div className="benchmark-actions">
+        {isRunning ? (
+          <button className="scenario-button" onClick={onCancel}>
+            {t('benchmark.cancel')}
+          </button>
+        ) : (
+          <button
+            className="scenario-button"
+            onClick={handleStart}
+            disabled={generators.length === 0}
+          >
+            {t('benchmark.start')}
+          </button>
+        )}
+        <button
+          className="scenario-button"
+          onClick={handleExport}
+          disabled={isRunning || results.length === 0}
+        >
+          {t('benchmark.export')}
+        </button>
+        {progress && (
+          <span className="benchmark-progress">
+            {ID_GENERATOR_LABELS[progress.generator]}: {progress.done.toLocaleString(locale)} / {progress.total.toLocaleString(locale)}
+          </span>
+        )}
+        {error && (
+          <span className="benchmark-error" role="alert">
+            {t('benchmark.failed')}{error.message && ` (${error.message})`}
+          </span>
+        )}
+      </div>
+
+      {results.length > 0 && (
+        <table className="benchmark-table">
+          <thead>
+            <tr>
+              {t('benchmark.columns').map(column => (
+                <th key={column}>{column}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => (
+              <tr key={result.generator}>
+                <td>{ID_GENERATOR_LABELS[result.generator]}</td>
+                <td className="benchmark-sample">{result.samples[0]}</td>
+                <td>{result.averageLength.toFixed(1)}</td>
+                <td>{result.entropyBits.toFixed(1)}</td>
+                <td>{formatNumber(result.idsPerSecond, locale)}</td>
+                <td className={result.collisions > 0 ? 'benchmark-collisions' : ''}>
+                  {formatNumber(result.collisions, locale)}
+                </td>
+                <td>{formatProbability(result.collisionProbability)}</td>
+                <td>{formatNumber(getFiftyPercentCollisionCount(result.entropyBits), locale)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <p className="benchmark-note">{t('benchmark.note')}</p>
+    </details>
+  );
+};
+
+export default React.memo(IdBenchmarkPanel);
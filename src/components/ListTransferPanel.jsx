@@ -0,0 +1,142 @@
+// src/components/ListTransferPanel.jsx
+// Komponenta pro import a export obsahu seznamů (text, CSV, JSON)
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React, { useState } from 'react';
+import { downloadFile } from '../utils/download';
+import { serializeList, LIST_FORMAT_FILES } from '../utils/listTransfer';
+import { VARIANTS } from '../variants';
+import {
+  VARIANT_TYPES,
+  LIST_FORMATS,
+  ID_GENERATOR_TYPES,
+  ID_GENERATOR_LABELS
+} from '../constants';
+import { useTranslation } from '../hooks/useTranslation';
+
+const ListTransferPanel = ({ variants, defaultIdType, onImport }) => {
+  const { t } = useTranslation();
+  const [importText, setImportText] = useState('');
+  // Prázdný formát = odhadnout podle obsahu
+  const [importFormat, setImportFormat] = useState('');
+  const [idType, setIdType] = useState(defaultIdType);
+  // Výsledek posledního importu (false = neplatná data)
+  const [importResult, setImportResult] = useState(null);
+  const [exportVariant, setExportVariant] = useState(VARIANT_TYPES.CORRECT);
+  const [exportFormat, setExportFormat] = useState(LIST_FORMATS.JSON);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+
+    if (!file) {
+      return;
+    }
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    const format = Object.keys(LIST_FORMAT_FILES).find(key => LIST_FORMAT_FILES[key].extension === extension);
+
+    event.target.value = '';
+
+    // Nečitelný soubor se hlásí stejně jako neplatná data
+    try {
+      setImportText(await file.text());
+      setImportFormat(format ?? '');
+      setImportResult(null);
+    } catch {
+      setImportResult(false);
+    }
+  };
+
+  const handleImport = () => {
+    // null = neplatná data, jinak { count, kept }
+    setImportResult(onImport(importText, importFormat || null, idType) ?? false);
+  };
+
+  const handleExport = () => {
+    const { extension, mimeType } = LIST_FORMAT_FILES[exportFormat];
+    downloadFile(
+      `items-${exportVariant}.${extension}`,
+      serializeList(variants[exportVariant], exportFormat),
+      mimeType
+    );
+  };
+
+  return (
+    <details className="benchmark-panel transfer-panel">
+      <summary>📦 {t('transfer.title')}</summary>
+
+      <h4>{t('transfer.importTitle')}</h4>
+      <p className="transfer-hint">{t('transfer.importHint')}</p>
+      <textarea
+        className="scenario-script"
+        value={importText}
+        onChange={(event) => {
+          setImportText(event.target.value);
+          setImportResult(null);
+        }}
+        placeholder={t('transfer.placeholder')}
+        rows={6}
+        spellCheck={false}
+      />
+
+      <div className="benchmark-form">
+        <label>
+          {t('transfer.file')}
+          <input type="file" accept=".txt,.csv,.json" onChange={handleFileChange} />
+        </label>
+        <label>
+          {t('transfer.format')}
+          <select value={importFormat} onChange={(event) => setImportFormat(event.target.value)}>
+            <option value="">{t('transfer.formats.auto')}</option>
+            {Object.values(LIST_FORMATS).map(format => (
+              <option key={format} value={format}>{t(`transfer.formats.${format}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('transfer.generator')}
+          <select value={idType} onChange={(event) => setIdType(event.target.value)}>
+            {Object.values(ID_GENERATOR_TYPES).map(type => (
+              <option key={type} value={type}>{ID_GENERATOR_LABELS[type]}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="benchmark-actions">
+        <button className="scenario-button" onClick={handleImport} disabled={!importText.trim()}>
+          {t('transfer.import')}
+        </button>
+        {importResult && (
+          <span className="transfer-status">{t('transfer.imported', importResult)}</span>
+        )}
+        {importResult === false && <span className="scenario-error">{t('transfer.invalid')}</span>}
+      </div>
+
+      <h4>{t('transfer.exportTitle')}</h4>
+      <div className="benchmark-form">
+        <label>
+          {t('transfer.variant')}
+          <select value={exportVariant} onChange={(event) => setExportVariant(event.target.value)}>
+            {VARIANTS.map(variant => (
+              <option key={variant.type} value={variant.type}>{t(variant.tabKey)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('transfer.format')}
+          <select value={exportFormat} onChange={(event) => setExportFormat(event.target.value)}>
+            {Object.values(LIST_FORMATS).map(format => (
+              <option key={format} value={format}>{t(`transfer.formats.${format}`)}</option>
+            ))}
+          </select>
+        </label>
+        <button className="scenario-button" onClick={handleExport}>
+          {t('transfer.export')}
+        </button>
+      </div>
+    </details>
+  );
+};
+
+export default React.memo(ListTransferPanel);
@@ -0,0 +1,115 @@
+// src/components/ScenarioPanel.jsx
+// Komponenta pro nahrávání a přehrávání scénářů
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React, { useState, useEffect } from 'react';
+import { serializeScript } from '../utils/scenario';
+import { useTranslation } from '../hooks/useTranslation';
+
+const ScenarioPanel = ({
+  script,
+  isRecording,
+  isPlaying,
+  stepIndex,
+  onStartRecording,
+  onStopRecording,
+  onPlayStep,
+  onPlay,
+  onPause,
+  onRewind,
+  onLoadScript
+}) => {
+  const { t } = useTranslation();
+  const [scriptText, setScriptText] = useState('');
+  const [loadError, setLoadError] = useState(false);
+
+  // Textové pole zrcadlí aktuální skript, dokud ho uživatel neupraví
+  useEffect(() => {
+    setScriptText(script ? serializeScript(script) : '');
+    setLoadError(false);
+  }, [script]);
+
+  const handleLoad = () => {
+    setLoadError(!onLoadScript(scriptText));
+  };
+
+  const hasSteps = !!script && script.steps.length > 0;
+
+  const getStepClassName = (index) => {
+    const classes = ['scenario-step'];
+
+    if (stepIndex !== null && index < stepIndex) {
+      classes.push('played');
+    }
+
+    if (index === stepIndex) {
+      classes.push('next');
+    }
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div className="scenario-panel">
+      <h3>🎬 {t('scenario.title')}</h3>
+
+      <div className="scenario-buttons">
+        {isRecording ? (
+          <button className="scenario-button recording" onClick={onStopRecording}>
+            {t('scenario.stop')}
+          </button>
+        ) : (
+          <button className="scenario-button" onClick={onStartRecording} disabled={isPlaying}>
+            {t('scenario.record')}
+          </button>
+        )}
+        <button className="scenario-button" onClick={onRewind} disabled={!script || isRecording}>
+          {t('scenario.rewind')}
+        </button>
+        <button
+          className="scenario-button"
+          onClick={onPlayStep}
+          disabled={!hasSteps || isRecording || isPlaying}
+        >
+          {t('scenario.step')}
+        </button>
+        {isPlaying ? (
+          <button className="scenario-button" onClick={onPause}>
+            {t('scenario.pause')}
+          </button>
+        ) : (
+          <button className="scenario-button" onClick={onPlay} disabled={!hasSteps || isRecording}>
+            {t('scenario.play')}
+          </button>
+        )}
+      </div>
+
+      {hasSteps && (
+        <ol className="scenario-steps">
+          {script.steps.map((step, index) => (
+            <li key={index} className={getStepClassName(index)}>
+              {t(`scenario.steps.${step.type}`, step)}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <textarea
+        className="scenario-script"
+        value={scriptText}
+        onChange={(event) => setScriptText(event.target.value)}
+        placeholder={t('scenario.placeholder')}
+        rows={6}
+        spellCheck={false}
+      />
+      <div className="scenario-load">
+        <button className="scenario-button" onClick={handleLoad} disabled={!scriptText || isRecording}>
+          {t('scenario.load')}
+        </button>
+        {loadError && <span className="scenario-error">{t('scenario.invalid')}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(ScenarioPanel);
@@ -0,0 +1,28 @@
+// src/components/SelectionBar.jsx
+// Komponenta s hromadnými akcemi nad vybranými položkami
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+
+const SelectionBar = ({ count, onDeleteSelected, onClearSelection }) => {
+  const { t } = useTranslation();
+
+  if (count === 0) {
+    return <div className="selection-bar hint">{t('selection.hint')}</div>;
+  }
+
+  return (
+    <div className="selection-bar">
+      <span className="selection-count">{t('selection.count', { count })}</span>
+      <button className="selection-button danger" onClick={onDeleteSelected}>
+        {t('selection.deleteSelected')}
+      </button>
+      <button className="selection-button" onClick={onClearSelection}>
+        {t('selection.clear')}
+      </button>
+    </div>
+  );
+};
+
+export default React.memo(SelectionBar);
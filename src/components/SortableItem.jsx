@@ -2,12 +2,33 @@
 // Komponenta pro jednotlivé přetahovatelné položky
 // Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
 
-import React from 'react';
+import React, { useState, useRef, useCallback } from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { UI_CONSTANTS, LABELS } from '../constants';
+import { UI_CONSTANTS, ID_GENERATOR_LABELS } from '../constants';
+import { useTranslation } from '../hooks/useTranslation';
+
+const SortableItem = ({
+  id,
+  value,
+  idType,
+  onDelete,
+  onEdit,
+  onSelect,
+  isWrong,
+  isDivergent,
+  isDuplicate,
+  isPending,
+  isSelected,
+  showDebugInfo
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(value);
+  // Hodnota, kterou uživatel začal editovat (null = needituje se).
+  // Ref místo state, aby blur po Enter/Escape úpravu nepotvrdil podruhé.
+  const editedValueRef = useRef(null);
+  const nodeRef = useRef(null);
 
-const SortableItem = ({ id, value, onDelete, isWrong, showDebugInfo }) => {
   const {
     attributes,
     listeners,
@@ -15,7 +36,13 @@ const SortableItem = ({ id, value, onDelete, isWrong, showDebugInfo }) => {
     transform,
     transition,
     isDragging
-  } = useSortable({ id });
+  } = useSortable({ id, data: { value, idType }, disabled: isEditing });
+  const { t } = useTranslation();
+
+  const setRefs = useCallback((node) => {
+    setNodeRef(node);
+    nodeRef.current = node;
+  }, [setNodeRef]);
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -35,6 +62,70 @@ const SortableItem = ({ id, value, onDelete, isWrong, showDebugInfo }) => {
     onDelete();
   };
 
+  // Enter a mezerník na tlačítku stisknou tlačítko, nesmí zvednout položku
+  const stopKeyPropagation = (event) => {
+    event.stopPropagation();
+  };
+
+  const startEditing = () => {
+    if (!onEdit || isEditing) {
+      return;
+    }
+
+    editedValueRef.current = value;
+    setDraft(value);
+    setIsEditing(true);
+  };
+
+  const finishEditing = (shouldCommit) => {
+    const editedValue = editedValueRef.current;
+
+    if (editedValue === null) {
+      return;
+    }
+
+    editedValueRef.current = null;
+    setIsEditing(false);
+
+    const newValue = draft.trim();
+    if (shouldCommit && newValue && newValue !== editedValue) {
+      onEdit(newValue, editedValue);
+    }
+  };
+
+  const handleEditKeyDown = (event) => {
+    // Klávesy v inputu nesmí spustit klávesnicový senzor
+    event.stopPropagation();
+
+    if (event.key === 'Enter' || event.key === 'Escape') {
+      event.preventDefault();
+      finishEditing(event.key === 'Enter');
+      nodeRef.current?.focus();
+    }
+  };
+
+  // Enter na položce otevře editaci, ostatní klávesy patří klávesnicovému senzoru
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && onEdit && !isDragging) {
+      event.preventDefault();
+      startEditing();
+      return;
+    }
+
+    listeners?.onKeyDown?.(event);
+  };
+
+  // Ctrl/⌘ + klik přepne výběr, Shift + klik vybere rozsah; obyčejný klik nic nedělá,
+  // aby ho nezachytilo puštění po tažení skupiny
+  const handleClick = (event) => {
+    if (!onSelect || isEditing || !(event.ctrlKey || event.metaKey || event.shiftKey)) {
+      return;
+    }
+
+    event.preventDefault();
+    onSelect(event.shiftKey);
+  };
+
   const getItemClassName = () => {
     const classes = ['sortable-item'];
     
@@ -47,20 +138,65 @@ const SortableItem = ({ id, value, onDelete, isWrong, showDebugInfo }) => {
     } else {
       classes.push('correct');
     }
+
+    if (isDivergent) {
+      classes.push('divergent');
+    }
+
+    if (isDuplicate) {
+      classes.push('duplicate');
+    }
+
+    if (isPending) {
+      classes.push('pending');
+    }
+
+    if (isEditing) {
+      classes.push('editing');
+    }
+
+    if (isSelected) {
+      classes.push('selected');
+    }
     
     return classes.join(' ');
   };
 
   return (
     <div 
-      ref={setNodeRef} 
+      ref={setRefs}
       style={style}
       className={getItemClassName()}
       {...attributes} 
       {...listeners}
+      onKeyDown={handleKeyDown}
+      onClick={handleClick}
     >
       <div className="item-content">
-        <span className="item-value">{value}</span>
+        {isEditing ? (
+          <input
+            className="item-edit-input"
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            onKeyDown={handleEditKeyDown}
+            onBlur={() => finishEditing(true)}
+            aria-label={t('buttons.editLabel', { value })}
+            autoFocus
+          />
+        ) : (
+          <span
+            className="item-value"
+            onDoubleClick={startEditing}
+            title={onEdit ? t('buttons.editHint') : undefined}
+          >
+            {value}
+          </span>
+        )}
+        {idType && (
+          <span className={`id-type-badge ${idType}`}>
+            {ID_GENERATOR_LABELS[idType] || idType}
+          </span>
+        )}
         {showDebugInfo && (
           <span className="debug-info">
             ID: {getDebugLabel()}
@@ -70,10 +206,10 @@ const SortableItem = ({ id, value, onDelete, isWrong, showDebugInfo }) => {
       <button 
         className="delete-button" 
         onClick={handleDelete}
-        tabIndex={-1}
-        aria-label={`Delete ${value}`}
+        onKeyDown={stopKeyPropagation}
+        aria-label={t('buttons.deleteLabel', { value })}
       >
-        {LABELS.BUTTONS.DELETE}
+        {t('buttons.delete')}
       </button>
     </div>
   );
@@ -0,0 +1,23 @@
+// src/components/StorageWarning.jsx
+// Komponenta s upozorněním, že se stav nepodařilo uložit do localStorage
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import { SAVE_RESULTS } from '../utils/storage';
+
+const StorageWarning = ({ saveResult }) => {
+  const { t } = useTranslation();
+
+  if (saveResult === SAVE_RESULTS.SAVED) {
+    return null;
+  }
+
+  return (
+    <div className="storage-warning" role="alert">
+      {t(`storage.${saveResult}`)}
+    </div>
+  );
+};
+
+export default React.memo(StorageWarning);
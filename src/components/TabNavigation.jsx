@@ -3,14 +3,19 @@
 // Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
 
 import React from 'react';
-import { VARIANT_TYPES, LABELS } from '../constants';
+import { VARIANT_TYPES } from '../constants';
+import { VARIANTS } from '../variants';
+import { useTranslation } from '../hooks/useTranslation';
 
 const TabNavigation = ({ activeTab, onTabChange }) => {
+  const { t } = useTranslation();
+
   const tabs = [
-    { id: VARIANT_TYPES.ALL, label: LABELS.TABS.ALL },
-    { id: VARIANT_TYPES.WRONG, label: LABELS.TABS.WRONG },
-    { id: VARIANT_TYPES.GENERATED, label: LABELS.TABS.GENERATED },
-    { id: VARIANT_TYPES.CORRECT, label: LABELS.TABS.CORRECT }
+    { id: VARIANT_TYPES.ALL, label: t('tabs.all') },
+    ...VARIANTS.map(variant => ({ id: variant.type, label: t(variant.tabKey) })),
+    { id: VARIANT_TYPES.KANBAN, label: t('tabs.kanban') },
+    { id: VARIANT_TYPES.TREE, label: t('tabs.tree') },
+    { id: VARIANT_TYPES.LARGE, label: t('tabs.large') }
   ];
 
   return (
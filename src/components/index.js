@@ -5,11 +5,35 @@
 export { default as Header } from './Header';
 export { default as Controls } from './Controls';
 export { default as HistoryPanel } from './HistoryPanel';
+export { default as HistoryBrowser } from './HistoryBrowser';
+export { default as HistoryItem } from './HistoryItem';
+export { default as ScenarioPanel } from './ScenarioPanel';
+export { default as IdBenchmarkPanel } from './IdBenchmarkPanel';
+export { default as ListTransferPanel } from './ListTransferPanel';
 export { default as ExplanationSection } from './ExplanationSection';
 export { default as SortableItem } from './SortableItem';
+export { default as DragPreview } from './DragPreview';
+export { default as DragPreviewOverlay } from './DragPreviewOverlay';
 export { default as TabNavigation } from './TabNavigation';
+export { default as SelectionBar } from './SelectionBar';
+export { default as StorageWarning } from './StorageWarning';
+export { default as CollisionPicker } from './CollisionPicker';
+export { default as CollisionDebugOverlay } from './CollisionDebugOverlay';
+export { default as A11ySettingsPanel } from './A11ySettingsPanel';
 
 // Variants
-export { default as WrongVariant } from './variants/WrongVariant';
-export { default as GeneratedVariant } from './variants/GeneratedVariant';
-export { default as CorrectVariant } from './variants/CorrectVariant';
\ No newline at end of file
+export { default as VariantPanel } from './variants/VariantPanel';
+
+// Kanban
+export { default as KanbanBoard } from './kanban/KanbanBoard';
+export { default as KanbanColumn } from './kanban/KanbanColumn';
+
+// Tree
+export { default as SortableTree } from './tree/SortableTree';
+export { default as TreeItem } from './tree/TreeItem';
+
+// Large lists
+export { default as LargeListPanel } from './large/LargeListPanel';
+export { default as VirtualSortableList } from './large/VirtualSortableList';
+export { default as LargeListRow } from './large/LargeListRow';
+export { default as PerformanceOverlay } from './large/PerformanceOverlay';
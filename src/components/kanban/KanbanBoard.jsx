@@ -0,0 +1,89 @@
+// src/components/kanban/KanbanBoard.jsx
+// Komponenta Kanban tabule - několik SortableContext sloupců pod jedním DndContext
+// Tato komponenta obsahuje pouze UI a deleguje logiku na parent komponentu
+
+import React from 'react';
+import { DndContext, closestCorners } from '@dnd-kit/core';
+import KanbanColumn from './KanbanColumn';
+import DragPreviewOverlay from '../DragPreviewOverlay';
+import { KANBAN_COLUMNS } from '../../constants';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const KanbanBoard = ({
+  columns,
+  isWrong,
+  sensors,
+  onDragStart,
+  onDragOver,
+  onDragEnd,
+  onDragCancel,
+  onDelete,
+  accessibility,
+  dragOverlay,
+  showDebug
+}) => {
+  const { t } = useTranslation();
+  const variant = isWrong ? 'wrong' : 'correct';
+
+  return (
+    <div className={`example kanban-example ${variant}-example`}>
+      <h2>{t(`kanban.${variant}.title`)}</h2>
+      <div className="code-snippet">
+        <pre>{isWrong
+          ? `items={column.map((_, index) => index)}`
+          : `items={column.map(item => item.id)}`}</pre>
+      </div>
+
+      <div className={isWrong ? 'problem-explanation' : 'solution-explanation'}>
+        <h3>{isWrong ? t('variants.problem') : t('variants.solution')}</h3>
+        <ol>
+          {t(`kanban.${variant}.notes`).map(text => (
+            <li key={text}>{text}</li>
+          ))}
+        </ol>
+      </div>
+
+      <DndContext
+        sensors={sensors}
+        accessibility={accessibility}
+        collisionDetection={closestCorners}
+        onDragStart={onDragStart}
+        onDragOver={onDragOver}
+        onDragEnd={onDragEnd}
+        onDragCancel={onDragCancel}
+      >
+        <div className="kanban-columns">
+          {Object.values(KANBAN_COLUMNS).map(columnId => (
+            <KanbanColumn
+              key={columnId}
+              id={columnId}
+              title={t(`kanban.columns.${columnId}`)}
+              items={columns[columnId]}
+              isWrong={isWrong}
+              onDelete={onDelete}
+              showDebug={showDebug}
+            />
+          ))}
+        </div>
+        {dragOverlay && (
+          <DragPreviewOverlay
+            dropAnimation={dragOverlay.dropAnimation}
+            isWrong={isWrong}
+            showDebug={showDebug}
+          />
+        )}
+      </DndContext>
+
+      <div className="instructions">
+        <h4>{t('variants.tryIt')}</h4>
+        <ol>
+          {t(`kanban.${variant}.instructions`).map(text => (
+            <li key={text}>{text}</li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(KanbanBoard);
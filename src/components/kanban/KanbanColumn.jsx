@@ -0,0 +1,51 @@
+// src/components/kanban/KanbanColumn.jsx
+// Komponenta pro jeden sloupec Kanban tabule
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { useDroppable } from '@dnd-kit/core';
+import { SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable';
+import SortableItem from '../SortableItem';
+
+const KanbanColumn = ({ id, title, items, isWrong, onDelete, showDebug }) => {
+  // Droppable sloupce umožní pustit položku i do prázdného sloupce
+  // (název v data.value použijí hlášení pro čtečky obrazovky)
+  const { setNodeRef, isOver } = useDroppable({ id, data: { value: title } });
+
+  return (
+    <div className={`kanban-column ${isOver ? 'over' : ''}`}>
+      <h3>
+        {title} <span className="kanban-count">{items.length}</span>
+      </h3>
+      <SortableContext
+        id={id}
+        items={isWrong ? items.map((_, index) => index) : items.map(item => item.id)}
+        strategy={verticalListSortingStrategy}
+      >
+        <div ref={setNodeRef} className="kanban-list">
+          {items.map((item, index) => (isWrong ? (
+            <SortableItem
+              key={index}
+              id={index}
+              value={item}
+              onDelete={() => onDelete(id, index)}
+              isWrong={true}
+              showDebugInfo={showDebug}
+            />
+          ) : (
+            <SortableItem
+              key={item.id}
+              id={item.id}
+              value={item.value}
+              onDelete={() => onDelete(id, item.id)}
+              isWrong={false}
+              showDebugInfo={showDebug}
+            />
+          )))}
+        </div>
+      </SortableContext>
+    </div>
+  );
+};
+
+export default React.memo(KanbanColumn);
@@ -0,0 +1,103 @@
+// src/components/large/LargeListPanel.jsx
+// Komponenta pro režim velkých seznamů - porovnání indexů a ID na tisících položek
+// Tato komponenta obsahuje pouze UI a deleguje logiku na parent komponentu
+
+import React, { useState } from 'react';
+import VirtualSortableList from './VirtualSortableList';
+import PerformanceOverlay from './PerformanceOverlay';
+import { VARIANT_TYPES, ID_GENERATOR_TYPES, ID_GENERATOR_LABELS, UI_CONSTANTS } from '../../constants';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const LargeListPanel = ({
+  wrongItems,
+  correctItems,
+  sensors,
+  onSeed,
+  onWrongDragEnd,
+  onCorrectDragEnd,
+  fps,
+  latencies,
+  renderCounts,
+  countRender,
+  accessibility,
+  dragOverlay,
+  showDebug
+}) => {
+  const { t, locale } = useTranslation();
+  const [count, setCount] = useState(UI_CONSTANTS.LARGE_LIST_DEFAULT_COUNT);
+  const [idType, setIdType] = useState(ID_GENERATOR_TYPES.NANOID);
+
+  const lists = [
+    { key: VARIANT_TYPES.WRONG, label: t('large.wrong') },
+    { key: VARIANT_TYPES.CORRECT, label: t('large.correct') }
+  ];
+
+  return (
+    <div className="example large-example">
+      <h2>{t('large.title')}</h2>
+      <p className="large-hint">{t('large.hint')}</p>
+
+      <div className="large-form">
+        <label>
+          {t('large.count')}
+          <select value={count} onChange={(event) => setCount(Number(event.target.value))}>
+            {UI_CONSTANTS.LARGE_LIST_COUNTS.map(option => (
+              <option key={option} value={option}>{option.toLocaleString(locale)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('large.generator')}
+          <select value={idType} onChange={(event) => setIdType(event.target.value)}>
+            {Object.values(ID_GENERATOR_TYPES).map(type => (
+              <option key={type} value={type}>{ID_GENERATOR_LABELS[type]}</option>
+            ))}
+          </select>
+        </label>
+        <button className="large-seed-button" onClick={() => onSeed(count, idType)}>
+          {t('large.seed')}
+        </button>
+      </div>
+
+      <PerformanceOverlay
+        fps={fps}
+        latencies={latencies}
+        renderCounts={renderCounts}
+        lists={lists}
+      />
+
+      {wrongItems.length === 0 ? (
+        <p className="large-empty">{t('large.empty')}</p>
+      ) : (
+        <div className="large-lists">
+          <VirtualSortableList
+            listKey={VARIANT_TYPES.WRONG}
+            title={t('large.wrong')}
+            items={wrongItems}
+            isWrong={true}
+            sensors={sensors}
+            onDragEnd={onWrongDragEnd}
+            countRender={countRender}
+            accessibility={accessibility}
+            dragOverlay={dragOverlay}
+            showDebug={showDebug}
+          />
+          <VirtualSortableList
+            listKey={VARIANT_TYPES.CORRECT}
+            title={t('large.correct')}
+            items={correctItems}
+            isWrong={false}
+            sensors={sensors}
+            onDragEnd={onCorrectDragEnd}
+            countRender={countRender}
+            accessibility={accessibility}
+            dragOverlay={dragOverlay}
+            showDebug={showDebug}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(LargeListPanel);
@@ -0,0 +1,49 @@
+// src/components/large/LargeListRow.jsx
+// Komponenta pro jeden řádek virtualizovaného seznamu
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+// Řádek je absolutně umístěný, aby mohl být vykreslen i mimo viditelné okno (tažená položka)
+
+import React from 'react';
+import { useSortable } from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import { UI_CONSTANTS } from '../../constants';
+
+const LargeListRow = ({ id, value, top, height, isWrong, onRender, showDebugInfo }) => {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging
+  } = useSortable({ id, data: { value } });
+
+  onRender();
+
+  const style = {
+    top,
+    height,
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? UI_CONSTANTS.DRAGGING_OPACITY : UI_CONSTANTS.DEFAULT_OPACITY
+  };
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={style}
+      className={`large-list-row ${isWrong ? 'wrong' : 'correct'} ${isDragging ? 'dragging' : ''}`}
+      {...attributes}
+      {...listeners}
+    >
+      <span className="item-value">{value}</span>
+      {showDebugInfo && (
+        <span className="debug-info">
+          ID: {typeof id === 'number' ? `Index ${id}` : id}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(LargeListRow);
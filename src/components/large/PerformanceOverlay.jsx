@@ -0,0 +1,46 @@
+// src/components/large/PerformanceOverlay.jsx
+// Komponenta s živými metrikami výkonu (FPS, latence tažení, počty renderů)
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const formatMs = (value) => {
+  return value === undefined ? '–' : `${value.toFixed(1)} ms`;
+};
+
+const PerformanceOverlay = ({ fps, latencies, renderCounts, lists }) => {
+  const { t, locale } = useTranslation();
+
+  const formatCount = (value) => (value || 0).toLocaleString(locale);
+
+  return (
+    <div className="performance-overlay" aria-live="off">
+      <div className="performance-fps">
+        {t('performance.fps')}: <strong>{fps ?? '–'}</strong>
+      </div>
+      <table className="performance-table">
+        <thead>
+          <tr>
+            <th />
+            <th>{t('performance.latency')}</th>
+            <th>{t('performance.listRenders')}</th>
+            <th>{t('performance.rowRenders')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lists.map(list => (
+            <tr key={list.key}>
+              <th>{list.label}</th>
+              <td>{formatMs(latencies[list.key])}</td>
+              <td>{formatCount(renderCounts[`${list.key}:list`])}</td>
+              <td>{formatCount(renderCounts[`${list.key}:rows`])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default React.memo(PerformanceOverlay);
@@ -0,0 +1,105 @@
+// src/components/large/VirtualSortableList.jsx
+// Komponenta virtualizovaného seznamu - SortableContext zná všechna ID,
+// ale vykreslují se jen řádky ve viditelném okně (a vždy tažená položka)
+// Tato komponenta obsahuje pouze UI a deleguje logiku na parent komponentu
+
+import React, { useState, useMemo, useCallback } from 'react';
+import { DndContext, closestCenter } from '@dnd-kit/core';
+import { SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable';
+import LargeListRow from './LargeListRow';
+import DragPreviewOverlay from '../DragPreviewOverlay';
+import { useVirtualWindow } from '../../hooks/useVirtualWindow';
+import { useTranslation } from '../../hooks/useTranslation';
+import { getRenderedIndexes } from '../../utils/virtualWindow';
+
+const VirtualSortableList = ({
+  listKey,
+  title,
+  items,
+  isWrong,
+  sensors,
+  onDragEnd,
+  countRender,
+  accessibility,
+  dragOverlay,
+  showDebug
+}) => {
+  const { locale } = useTranslation();
+  const [activeId, setActiveId] = useState(null);
+  const { range, rowHeight, viewportHeight, totalHeight, handleScroll } = useVirtualWindow(items.length);
+
+  countRender(`${listKey}:list`);
+
+  const ids = useMemo(() => {
+    return isWrong ? items.map((_, index) => index) : items.map(item => item.id);
+  }, [items, isWrong]);
+
+  const countRowRender = useCallback(() => {
+    countRender(`${listKey}:rows`);
+  }, [countRender, listKey]);
+
+  const handleDragStart = useCallback((event) => {
+    setActiveId(event.active.id);
+  }, []);
+
+  const handleDragEnd = useCallback((event) => {
+    setActiveId(null);
+    onDragEnd(event);
+  }, [onDragEnd]);
+
+  const handleDragCancel = useCallback(() => {
+    setActiveId(null);
+  }, []);
+
+  const activeIndex = activeId === null ? -1 : ids.indexOf(activeId);
+  const renderedIndexes = getRenderedIndexes(range, activeIndex);
+
+  return (
+    <div className={`large-list ${isWrong ? 'wrong' : 'correct'}`}>
+      <h3>
+        {title} <span className="large-list-count">{items.length.toLocaleString(locale)}</span>
+      </h3>
+
+      <DndContext
+        sensors={sensors}
+        accessibility={accessibility}
+        collisionDetection={closestCenter}
+        onDragStart={handleDragStart}
+        onDragEnd={handleDragEnd}
+        onDragCancel={handleDragCancel}
+      >
+        <SortableContext items={ids} strategy={verticalListSortingStrategy}>
+          <div
+            className="large-list-viewport"
+            style={{ height: viewportHeight }}
+            onScroll={handleScroll}
+          >
+            <div className="large-list-inner" style={{ height: totalHeight }}>
+              {renderedIndexes.map(index => (
+                <LargeListRow
+                  key={ids[index]}
+                  id={ids[index]}
+                  value={isWrong ? items[index] : items[index].value}
+                  top={index * rowHeight}
+                  height={rowHeight}
+                  isWrong={isWrong}
+                  onRender={countRowRender}
+                  showDebugInfo={showDebug}
+                />
+              ))}
+            </div>
+          </div>
+        </SortableContext>
+        {dragOverlay && (
+          <DragPreviewOverlay
+            dropAnimation={dragOverlay.dropAnimation}
+            isWrong={isWrong}
+            showDebug={showDebug}
+          />
+        )}
+      </DndContext>
+    </div>
+  );
+};
+
+export default React.memo(VirtualSortableList);
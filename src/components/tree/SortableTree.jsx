@@ -0,0 +1,116 @@
+// src/components/tree/SortableTree.jsx
+// Komponenta stromového seznamu - zploštělý strom v jednom SortableContext
+// Tato komponenta obsahuje pouze UI a deleguje logiku na parent komponentu
+
+import React from 'react';
+import { DndContext, closestCenter } from '@dnd-kit/core';
+import { SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable';
+import TreeItem from './TreeItem';
+import DragPreviewOverlay from '../DragPreviewOverlay';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const SortableTree = ({
+  items,
+  collapsedIds,
+  activeId,
+  projection,
+  isWrong,
+  sensors,
+  onDragStart,
+  onDragMove,
+  onDragOver,
+  onDragEnd,
+  onDragCancel,
+  onCollapse,
+  onDelete,
+  accessibility,
+  dragOverlay,
+  showDebug
+}) => {
+  const { t } = useTranslation();
+  const variant = isWrong ? 'wrong' : 'correct';
+
+  // Tažený uzel se vykreslí v hloubce, kam by ho puštění zanořilo
+  const getItemPlacement = (item) => {
+    if (item.id === activeId && projection) {
+      return { depth: projection.depth, parentId: projection.parentId };
+    }
+
+    return { depth: item.depth, parentId: item.parentId };
+  };
+
+  // Počet skrytých potomků u sbaleného nebo taženého uzlu
+  const getHiddenCount = (item) => {
+    const isHidden = item.id === activeId || collapsedIds.includes(item.id);
+    return isHidden ? item.descendantCount : 0;
+  };
+
+  return (
+    <div className={`example tree-example ${variant}-example`}>
+      <h2>{t(`tree.${variant}.title`)}</h2>
+      <div className="code-snippet">
+        <pre>{isWrong
+          ? `items={flatten(tree).map(node => node.path.join('.'))}`
+          : `items={flatten(tree).map(node => node.id)}`}</pre>
+      </div>
+
+      <div className={isWrong ? 'problem-explanation' : 'solution-explanation'}>
+        <h3>{isWrong ? t('variants.problem') : t('variants.solution')}</h3>
+        <ol>
+          {t(`tree.${variant}.notes`).map(text => (
+            <li key={text}>{text}</li>
+          ))}
+        </ol>
+      </div>
+
+      <DndContext
+        sensors={sensors}
+        accessibility={accessibility}
+        collisionDetection={closestCenter}
+        onDragStart={onDragStart}
+        onDragMove={onDragMove}
+        onDragOver={onDragOver}
+        onDragEnd={onDragEnd}
+        onDragCancel={onDragCancel}
+      >
+        <SortableContext items={items.map(item => item.id)} strategy={verticalListSortingStrategy}>
+          <div className="tree-list">
+            {items.map(item => (
+              <TreeItem
+                key={item.id}
+                id={item.id}
+                value={item.value}
+                {...getItemPlacement(item)}
+                hasChildren={item.childCount > 0}
+                descendantCount={getHiddenCount(item)}
+                isCollapsed={collapsedIds.includes(item.id)}
+                onCollapse={onCollapse}
+                onDelete={onDelete}
+                isWrong={isWrong}
+                showDebugInfo={showDebug}
+              />
+            ))}
+          </div>
+        </SortableContext>
+        {dragOverlay && (
+          <DragPreviewOverlay
+            dropAnimation={dragOverlay.dropAnimation}
+            isWrong={isWrong}
+            showDebug={showDebug}
+          />
+        )}
+      </DndContext>
+
+      <div className="instructions">
+        <h4>{t('variants.tryIt')}</h4>
+        <ol>
+          {t(`tree.${variant}.instructions`).map(text => (
+            <li key={text}>{text}</li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(SortableTree);
@@ -0,0 +1,110 @@
+// src/components/tree/TreeItem.jsx
+// Komponenta pro jeden uzel stromového seznamu
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { useSortable } from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import { UI_CONSTANTS } from '../../constants';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const TreeItem = ({
+  id,
+  value,
+  parentId,
+  depth,
+  hasChildren,
+  descendantCount,
+  isCollapsed,
+  onCollapse,
+  onDelete,
+  isWrong,
+  showDebugInfo
+}) => {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging
+  } = useSortable({ id, data: { value } });
+  const { t } = useTranslation();
+
+  const style = {
+    transform: CSS.Translate.toString(transform),
+    transition,
+    marginLeft: depth * UI_CONSTANTS.TREE_INDENTATION_WIDTH,
+    opacity: isDragging ? UI_CONSTANTS.DRAGGING_OPACITY : UI_CONSTANTS.DEFAULT_OPACITY,
+  };
+
+  const handleCollapse = (event) => {
+    event.stopPropagation();
+    onCollapse(id);
+  };
+
+  const handleDelete = (event) => {
+    event.stopPropagation();
+    onDelete(id);
+  };
+
+  // Enter a mezerník na tlačítkách stisknou tlačítko, nesmí zvednout uzel
+  const stopKeyPropagation = (event) => {
+    event.stopPropagation();
+  };
+
+  const getItemClassName = () => {
+    const classes = ['sortable-item', 'tree-item', isWrong ? 'wrong' : 'correct'];
+
+    if (isDragging) {
+      classes.push('dragging');
+    }
+
+    return classes.join(' ');
+  };
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={style}
+      className={getItemClassName()}
+      {...attributes}
+      {...listeners}
+    >
+      <div className="item-content">
+        {hasChildren ? (
+          <button
+            className="tree-collapse-button"
+            onClick={handleCollapse}
+            onKeyDown={stopKeyPropagation}
+            aria-expanded={!isCollapsed}
+            aria-label={t(isCollapsed ? 'tree.expand' : 'tree.collapse', { value })}
+          >
+            {isCollapsed ? '▸' : '▾'}
+          </button>
+        ) : (
+          <span className="tree-collapse-placeholder" />
+        )}
+        <span className="item-value">{value}</span>
+        {descendantCount > 0 && (
+          <span className="tree-count">{t('tree.descendants', { count: descendantCount })}</span>
+        )}
+        {showDebugInfo && (
+          <span className="debug-info">
+            ID: {id} · parentId: {parentId ?? '–'}
+          </span>
+        )}
+      </div>
+      <button
+        className="delete-button"
+        onClick={handleDelete}
+        onKeyDown={stopKeyPropagation}
+        aria-label={t('buttons.deleteLabel', { value })}
+      >
+        {t('buttons.delete')}
+      </button>
+    </div>
+  );
+};
+
+export default React.memo(TreeItem);
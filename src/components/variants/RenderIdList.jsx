@@ -0,0 +1,40 @@
+// src/components/variants/RenderIdList.jsx
+// Seznam varianty, která generuje ID pro SortableContext při každém renderu
+// Tato komponenta záměrně ukazuje chybný vzor - ID nejsou uložená v datech ani ve state
+//
+// Komponenta sleduje pohyb tažení, takže se během tažení překresluje při každém pohybu.
+// Každý render vytvoří nová ID i React klíče: položky se znovu připojí, tažená položka
+// zmizí dnd-kitu pod rukama a puštění se zruší nebo skončí jinde.
+
+import React, { useState } from 'react';
+import { useDndMonitor } from '@dnd-kit/core';
+import { SortableContext } from '@dnd-kit/sortable';
+import { generateNanoId } from '../../utils/idGenerators';
+import { getSortingStrategy } from '../../utils/sortingLayouts';
+
+const RenderIdList = ({ items, layout, renderedIdsRef, renderItem }) => {
+  // Překreslení při každém pohybu (jako u seznamu, který během tažení něco zobrazuje).
+  // Registrace nových ID žádnou událost nevyvolá, takže se render nezacyklí.
+  const [, setMoveCount] = useState(0);
+  useDndMonitor({
+    onDragMove: () => setMoveCount(count => count + 1)
+  });
+
+  // Chyba: nové ID při každém renderu
+  const sortableIds = items.map(() => generateNanoId());
+  // Panel podle ID z posledního renderu dohledá pozice položek po puštění
+  renderedIdsRef.current = sortableIds;
+
+  return (
+    <SortableContext
+      items={sortableIds}
+      strategy={getSortingStrategy(layout)}
+    >
+      <div className={`sortable-list ${layout}`}>
+        {items.map((item, index) => renderItem(item, index, sortableIds[index]))}
+      </div>
+    </SortableContext>
+  );
+};
+
+export default RenderIdList;
@@ -0,0 +1,55 @@
+// src/components/variants/ServerSyncBar.jsx
+// Komponenta s nastavením mock backendu a stavem rozpracovaných požadavků
+// Tato komponenta neobsahuje business logiku, pouze UI reprezentaci
+
+import React from 'react';
+import { MOCK_BACKEND } from '../../constants';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const ServerSyncBar = ({
+  id,
+  latency,
+  failureRate,
+  requestCount,
+  onLatencyChange,
+  onFailureRateChange
+}) => {
+  const { t } = useTranslation();
+  const failurePercent = Math.round(failureRate * 100);
+
+  return (
+    <div className="server-sync-bar">
+      <label htmlFor={`${id}-latency`}>
+        {t('serverSync.latency', { latency })}
+      </label>
+      <input
+        id={`${id}-latency`}
+        type="range"
+        min={0}
+        max={MOCK_BACKEND.MAX_LATENCY}
+        step={MOCK_BACKEND.LATENCY_STEP}
+        value={latency}
+        onChange={(event) => onLatencyChange(Number(event.target.value))}
+      />
+      <label htmlFor={`${id}-failure-rate`}>
+        {t('serverSync.failureRate', { percent: failurePercent })}
+      </label>
+      <input
+        id={`${id}-failure-rate`}
+        type="range"
+        min={0}
+        max={100}
+        step={5}
+        value={failurePercent}
+        onChange={(event) => onFailureRateChange(Number(event.target.value) / 100)}
+      />
+      <span className={`server-sync-status ${requestCount > 0 ? 'busy' : ''}`} role="status">
+        {requestCount > 0
+          ? t('serverSync.pending', { count: requestCount })
+          : t('serverSync.idle')}
+      </span>
+    </div>
+  );
+};
+
+export default React.memo(ServerSyncBar);
@@ -0,0 +1,235 @@
+// src/components/variants/VariantPanel.jsx
+// Komponenta jedné varianty seznamu podle záznamu z registru variant
+// Tato komponenta obsahuje pouze UI a deleguje logiku na parent komponentu
+//
+// Handlery z App dostávají jako první argument typ varianty, funkce výběru
+// (onSelect, onClearSelection) patří přímo seznamu varianty.
+
+import React, { useRef } from 'react';
+import { DndContext } from '@dnd-kit/core';
+import { SortableContext } from '@dnd-kit/sortable';
+import SortableItem from '../SortableItem';
+import SelectionBar from '../SelectionBar';
+import CollisionPicker from '../CollisionPicker';
+import CollisionDebugOverlay from '../CollisionDebugOverlay';
+import DragPreviewOverlay from '../DragPreviewOverlay';
+import RenderIdList from './RenderIdList';
+import ServerSyncBar from './ServerSyncBar';
+import { getSortingStrategy } from '../../utils/sortingLayouts';
+import { getCollisionDetection } from '../../utils/collisionDetection';
+import { getItemId, getItemKey, getItemValue, findDuplicateIds } from '../../variants/items';
+import { usesRenderIds } from '../../variants';
+import { getColorVariable } from '../../theme';
+import { ID_GENERATOR_TYPES, ID_GENERATOR_LABELS } from '../../constants';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * Převede ID z posledního renderu na pozice - ID z dřívějšího renderu už v seznamu nejsou
+ * a dostanou pozici -1, kterou useDragAndDrop ignoruje (puštění se zruší)
+ * @param {Object} event - DragEndEvent z DndContext
+ * @param {Array<string>} renderedIds - ID z posledního renderu RenderIdList
+ * @returns {Object} Event s pozicemi místo ID
+ */
+const toRenderedPositions = (event, renderedIds) => ({
+  ...event,
+  active: { ...event.active, id: renderedIds.indexOf(event.active.id) },
+  over: event.over && { ...event.over, id: renderedIds.indexOf(event.over.id) }
+});
+
+const VariantPanel = ({
+  variant,
+  items,
+  sensors,
+  onDragEnd,
+  onDelete,
+  onEdit,
+  selectedIds = [],
+  onSelect,
+  onDeleteSelected,
+  onClearSelection,
+  onAddItem,
+  onAddDuplicate,
+  idType,
+  onIdTypeChange,
+  onReseed,
+  divergentIndexes = [],
+  layout,
+  collisionType,
+  onCollisionTypeChange,
+  accessibility,
+  dragOverlay,
+  serverSync,
+  showDebug
+}) => {
+  const { t } = useTranslation();
+  const { type, isWrong, capabilities } = variant;
+  const itemIds = items.map((item, index) => getItemId(variant, item, index));
+  const renderedIdsRef = useRef([]);
+  const hasRenderIds = usesRenderIds(variant);
+  const duplicates = capabilities.checksDuplicates
+    ? findDuplicateIds(variant, items)
+    : { indexes: [], ids: [] };
+
+  // sortableId je ID pro dnd-kit a React klíč, id identifikuje položku pro handlery a výběr
+  // (liší se jen u varianty s ID z renderu)
+  const renderItem = (item, index, sortableId) => {
+    const id = itemIds[index];
+    const value = getItemValue(item);
+
+    // Klíč je ID záměrně - u duplicitních ID má React dva prvky se stejným klíčem,
+    // u ID z renderu se položka při každém renderu připojí znovu
+    return (
+      <SortableItem
+        key={getItemKey(item, sortableId)}
+        id={sortableId}
+        value={value}
+        idType={item.idType}
+        onDelete={() => onDelete(type, id, value)}
+        onEdit={(newValue, editedValue) => onEdit(type, id, newValue, editedValue)}
+        onSelect={(isRange) => onSelect(id, isRange)}
+        isWrong={isWrong}
+        isSelected={selectedIds.includes(id)}
+        isDivergent={divergentIndexes.includes(index)}
+        isDuplicate={duplicates.indexes.includes(index)}
+        isPending={serverSync?.pendingIds.includes(id)}
+        showDebugInfo={showDebug}
+      />
+    );
+  };
+
+  return (
+    <div
+      className={`example variant-example ${type}-example`}
+      style={{ '--variant-color': getColorVariable(variant.color) }}
+    >
+      <h2>{t(variant.titleKey)}</h2>
+      <div className="code-snippet">
+        <pre>{variant.codeKey ? t(variant.codeKey) : variant.code}</pre>
+      </div>
+
+      <div className={isWrong ? 'problem-explanation' : 'solution-explanation'}>
+        <h3>{isWrong ? t('variants.problem') : t('variants.solution')}</h3>
+        <ol>
+          {t(variant.explanationKey).map(text => (
+            <li key={text}>{text}</li>
+          ))}
+        </ol>
+      </div>
+
+      {capabilities.canChooseGenerator && (
+        <div className="generator-picker">
+          <label htmlFor={`${type}-generator-select`}>{t('variants.generatorPicker')}</label>
+          <select
+            id={`${type}-generator-select`}
+            value={idType}
+            onChange={(event) => onIdTypeChange(event.target.value)}
+          >
+            {Object.values(ID_GENERATOR_TYPES).map(generatorType => (
+              <option key={generatorType} value={generatorType}>
+                {ID_GENERATOR_LABELS[generatorType]}
+              </option>
+            ))}
+          </select>
+          <button className="reseed-button" onClick={() => onReseed(type)}>
+            {t('buttons.reseed')}
+          </button>
+        </div>
+      )}
+
+      {capabilities.syncsWithServer && serverSync && (
+        <ServerSyncBar
+          id={`${type}-server`}
+          latency={serverSync.latency}
+          failureRate={serverSync.failureRate}
+          requestCount={serverSync.requestCount}
+          onLatencyChange={serverSync.onLatencyChange}
+          onFailureRateChange={serverSync.onFailureRateChange}
+        />
+      )}
+
+      <CollisionPicker
+        id={`${type}-collision-select`}
+        value={collisionType}
+        onChange={onCollisionTypeChange}
+      />
+
+      {duplicates.ids.length > 0 && (
+        <div className="duplicate-warning" role="status">
+          {t('variants.duplicateKeys', { count: duplicates.ids.length })}{' '}
+          {duplicates.ids.map(id => <code key={id}>{`"${id}" `}</code>)}
+        </div>
+      )}
+
+      <SelectionBar
+        count={selectedIds.length}
+        onDeleteSelected={() => onDeleteSelected(type)}
+        onClearSelection={onClearSelection}
+      />
+
+      <DndContext
+        sensors={sensors}
+        accessibility={accessibility}
+        collisionDetection={getCollisionDetection(collisionType)}
+        onDragEnd={(event) => onDragEnd(
+          type,
+          hasRenderIds ? toRenderedPositions(event, renderedIdsRef.current) : event
+        )}
+      >
+        {hasRenderIds ? (
+          <RenderIdList
+            items={items}
+            layout={layout}
+            renderedIdsRef={renderedIdsRef}
+            renderItem={renderItem}
+          />
+        ) : (
+          <SortableContext
+            items={itemIds}
+            strategy={getSortingStrategy(layout)}
+          >
+            <div className={`sortable-list ${layout}`}>
+              {items.map((item, index) => renderItem(item, index, itemIds[index]))}
+            </div>
+          </SortableContext>
+        )}
+        {showDebug && <CollisionDebugOverlay />}
+        {dragOverlay && (
+          <DragPreviewOverlay
+            dropAnimation={dragOverlay.dropAnimation}
+            isWrong={isWrong}
+            selectedIds={selectedIds}
+            showDebug={showDebug}
+          />
+        )}
+      </DndContext>
+
+      <div className="instructions">
+        <h4>{t('variants.tryIt')}</h4>
+        <ol>
+          {t(variant.instructionsKey).map(text => (
+            <li key={text}>{text}</li>
+          ))}
+        </ol>
+        {capabilities.canAdd && (
+          <button
+            className="add-item-button"
+            onClick={() => onAddItem(type)}
+          >
+            {t('buttons.addItem')}
+          </button>
+        )}
+        {capabilities.canAddDuplicate && (
+          <button
+            className="add-item-button duplicate-button"
+            onClick={() => onAddDuplicate(type)}
+            disabled={items.length === 0}
+          >
+            {t('buttons.addDuplicate')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(VariantPanel);
@@ -4,18 +4,125 @@
 
 export const VARIANT_TYPES = {
   WRONG: 'wrong',
+  VALUE: 'value',
+  RENDER: 'render',
+  SERVER: 'server',
   GENERATED: 'generated',
   CORRECT: 'correct',
-  ALL: 'all'
+  ALL: 'all',
+  KANBAN: 'kanban',
+  TREE: 'tree',
+  LARGE: 'large'
 };
 
-export const INITIAL_ITEMS = ['Položka A', 'Položka B', 'Položka C', 'Položka D'];
+// Rozložení seznamů - každé má vlastní sorting strategy (viz utils/sortingLayouts.js)
+export const LAYOUT_TYPES = {
+  VERTICAL: 'vertical',
+  HORIZONTAL: 'horizontal',
+  GRID: 'grid',
+  SWAP: 'swap'
+};
+
+export const COLLISION_DETECTION_TYPES = {
+  CLOSEST_CENTER: 'closestCenter',
+  CLOSEST_CORNERS: 'closestCorners',
+  RECT_INTERSECTION: 'rectIntersection',
+  POINTER_WITHIN: 'pointerWithin',
+  COMPOSITE: 'composite'
+};
+
+// Formáty importu a exportu obsahu seznamů (viz utils/listTransfer.js)
+export const LIST_FORMATS = {
+  TEXT: 'text',
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+// Nastavení přístupnosti (klíče v ui.a11ySettings, zároveň klíče překladů a11y.*)
+export const A11Y_SETTINGS = {
+  REDUCED_MOTION: 'reducedMotion',
+  STRONG_FOCUS: 'strongFocus',
+  VERBOSE_ANNOUNCEMENTS: 'verboseAnnouncements'
+};
+
+// Způsob vykreslení tažené položky - posun původního uzlu nebo náhled v DragOverlay
+export const RENDER_MODES = {
+  TRANSFORM: 'transform',
+  OVERLAY: 'overlay'
+};
+
+// Animace puštění náhledu v režimu DragOverlay
+export const DROP_ANIMATIONS = {
+  DEFAULT: 'default',
+  SLOW: 'slow',
+  SPRING: 'spring',
+  NONE: 'none'
+};
+
+// Sloupce Kanban režimu (pořadí určuje pořadí na obrazovce)
+export const KANBAN_COLUMNS = {
+  TODO: 'todo',
+  DOING: 'doing',
+  DONE: 'done'
+};
 
 export const UI_CONSTANTS = {
   DRAG_ACTIVATION_DISTANCE: 8,
   HISTORY_DISPLAY_LIMIT: 5,
   DRAGGING_OPACITY: 0.5,
-  DEFAULT_OPACITY: 1
+  DEFAULT_OPACITY: 1,
+  SCENARIO_STEP_DELAY: 1000,
+  BENCHMARK_COUNTS: [100000, 1000000, 2000000],
+  BENCHMARK_DEFAULT_COUNT: 1000000,
+  NANOID_DEFAULT_SIZE: 8,
+  NANOID_MIN_SIZE: 2,
+  NANOID_MAX_SIZE: 36,
+  TREE_INDENTATION_WIDTH: 24,
+  LARGE_LIST_COUNTS: [1000, 10000, 50000],
+  LARGE_LIST_DEFAULT_COUNT: 10000,
+  LARGE_LIST_ROW_HEIGHT: 44,
+  LARGE_LIST_VIEWPORT_HEIGHT: 440,
+  LARGE_LIST_OVERSCAN: 6,
+  PERFORMANCE_SAMPLE_INTERVAL: 500
+};
+
+// Mock backend varianty s ID ze serveru - zpoždění v ms a pravděpodobnost selhání (0-1)
+export const MOCK_BACKEND = {
+  DEFAULT_LATENCY: 800,
+  MAX_LATENCY: 5000,
+  LATENCY_STEP: 100,
+  DEFAULT_FAILURE_RATE: 0.2
+};
+
+// Požadavky na mock backend - podle nich se při selhání vrací optimistická změna
+export const SYNC_OPERATIONS = {
+  CREATE: 'create',
+  REORDER: 'reorder',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+export const HISTORY_TYPES = {
+  SCENARIO: 'scenario',
+  IMPORT: 'import'
+};
+
+// Typ operace ve strukturovaném záznamu historie (filtrování a export)
+export const HISTORY_OPERATIONS = {
+  MOVE: 'move',
+  MOVE_GROUP: 'moveGroup',
+  SWAP: 'swap',
+  DELETE: 'delete',
+  DELETE_GROUP: 'deleteGroup',
+  ADD: 'add',
+  EDIT: 'edit',
+  RESEED: 'reseed',
+  IMPORT: 'import',
+  DIVERGENCE: 'divergence',
+  DUPLICATE: 'duplicate',
+  SYNC: 'sync',
+  ROLLBACK: 'rollback',
+  SCENARIO: 'scenario'
 };
 
 export const ID_GENERATOR_TYPES = {
@@ -25,44 +132,103 @@ export const ID_GENERATOR_TYPES = {
   TIMESTAMP: 'timestamp'
 };
 
+// Barevná témata - SYSTEM se řídí nastavením prohlížeče (prefers-color-scheme / prefers-contrast)
+export const THEME_TYPES = {
+  SYSTEM: 'system',
+  LIGHT: 'light',
+  DARK: 'dark',
+  HIGH_CONTRAST: 'highContrast'
+};
+
+// Výchozí (tmavá) paleta. Klíče jsou role barev - ve světlém tématu má např. MIDNIGHT
+// (pozadí kódu a instrukcí) světlou hodnotu. Každý klíč je v CSS jako --color-{klíč}.
 export const COLORS = {
   PRIMARY_BG: '#1A1A1A',
   SECONDARY_BG: '#121212',
   CARD_BG: '#2C2C2C',
   BORDER: '#333333',
+  BORDER_STRONG: '#555555',
   CRIMSON: '#F7464E',
+  CRIMSON_HOVER: '#FF5A62',
   IVORY: '#F7F8F3',
   TEAL: '#78BCC4',
   MIDNIGHT: '#002C3E',
   SUCCESS: '#28a745',
+  SUCCESS_HOVER: '#218838',
+  VIOLET: '#9B59B6',
+  AMBER: '#F39C12',
+  ROSE: '#E84393',
+  SKY: '#3498DB',
   TEXT_PRIMARY: '#F7F8F3',
   TEXT_SECONDARY: '#888888',
-  TEXT_MUTED: '#666666'
+  TEXT_MUTED: '#666666',
+  TEXT_ON_ACCENT: '#FFFFFF',
+  SHADOW: 'rgba(0, 0, 0, 0.5)'
 };
 
-export const MESSAGES = {
-  DELETE_ITEM: (value, type) => `Smazána položka "${value}"`,
-  MOVE_ITEM: (from, to) => `Přesunuto z pozice ${from} na pozici ${to}`,
-  ADD_ITEM: (value) => `Přidána položka "${value}"`
-};
-
-export const LABELS = {
-  TABS: {
-    ALL: 'Všechny varianty',
-    WRONG: '❌ Indexy',
-    GENERATED: '✅ Vygeneruj ID',
-    CORRECT: '✅ S originálním ID'
-  },
-  BUTTONS: {
-    DEBUG_ON: '🐛 Debug zapnutý',
-    DEBUG_OFF: '👁 Debug vypnutý',
-    RESET: '🔄 Reset',
-    DELETE: '✕',
-    ADD_ITEM: '➕ Přidat položku'
+export const THEME_PALETTES = {
+  [THEME_TYPES.DARK]: COLORS,
+  [THEME_TYPES.LIGHT]: {
+    PRIMARY_BG: '#F4F5F0',
+    SECONDARY_BG: '#FFFFFF',
+    CARD_BG: '#ECEEE8',
+    BORDER: '#CFD2CA',
+    BORDER_STRONG: '#9DA197',
+    CRIMSON: '#D62F38',
+    CRIMSON_HOVER: '#B8222B',
+    IVORY: '#1A1A1A',
+    TEAL: '#2A7D88',
+    MIDNIGHT: '#E4F1F3',
+    SUCCESS: '#1E7E34',
+    SUCCESS_HOVER: '#176429',
+    VIOLET: '#7D3C98',
+    AMBER: '#B35F00',
+    ROSE: '#B0226B',
+    SKY: '#1F6FA8',
+    TEXT_PRIMARY: '#1A1A1A',
+    TEXT_SECONDARY: '#555555',
+    TEXT_MUTED: '#6E6E6E',
+    TEXT_ON_ACCENT: '#FFFFFF',
+    SHADOW: 'rgba(0, 0, 0, 0.2)'
   },
-  TITLES: {
-    WRONG: '❌ Špatně: Použití indexů',
-    GENERATED: '✅ Řešení: Vygeneruj ID když je nemáš',
-    CORRECT: '✅ Správně: Unikátní ID'
+  [THEME_TYPES.HIGH_CONTRAST]: {
+    PRIMARY_BG: '#000000',
+    SECONDARY_BG: '#000000',
+    CARD_BG: '#0A0A0A',
+    BORDER: '#FFFFFF',
+    BORDER_STRONG: '#FFFF00',
+    CRIMSON: '#FF5C5C',
+    CRIMSON_HOVER: '#FF8A8A',
+    IVORY: '#FFFFFF',
+    TEAL: '#00E5FF',
+    MIDNIGHT: '#000000',
+    SUCCESS: '#00FF66',
+    SUCCESS_HOVER: '#7DFFAA',
+    VIOLET: '#FF7BFF',
+    AMBER: '#FFB000',
+    ROSE: '#FF66CC',
+    SKY: '#66CCFF',
+    TEXT_PRIMARY: '#FFFFFF',
+    TEXT_SECONDARY: '#FFFFFF',
+    TEXT_MUTED: '#E0E0E0',
+    TEXT_ON_ACCENT: '#000000',
+    SHADOW: 'rgba(255, 255, 255, 0.35)'
   }
-};
\ No newline at end of file
+};
+
+// Technické názvy algoritmů detekce kolizí - nelokalizují se
+export const COLLISION_DETECTION_LABELS = {
+  [COLLISION_DETECTION_TYPES.CLOSEST_CENTER]: 'closestCenter',
+  [COLLISION_DETECTION_TYPES.CLOSEST_CORNERS]: 'closestCorners',
+  [COLLISION_DETECTION_TYPES.RECT_INTERSECTION]: 'rectIntersection',
+  [COLLISION_DETECTION_TYPES.POINTER_WITHIN]: 'pointerWithin',
+  [COLLISION_DETECTION_TYPES.COMPOSITE]: 'pointerWithin → rectIntersection → closestCenter'
+};
+
+// Technické názvy generátorů - nelokalizují se
+export const ID_GENERATOR_LABELS = {
+  [ID_GENERATOR_TYPES.INCREMENTAL]: 'counter',
+  [ID_GENERATOR_TYPES.UUID]: 'crypto.randomUUID()',
+  [ID_GENERATOR_TYPES.NANOID]: 'nanoid',
+  [ID_GENERATOR_TYPES.TIMESTAMP]: 'timestamp + random'
+};
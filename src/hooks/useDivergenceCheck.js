@@ -0,0 +1,74 @@
+// src/hooks/useDivergenceCheck.js
+// Custom hook pro detekci rozdílu mezi zamýšleným a skutečným pořadím
+// Tento hook neobsahuje business logiku, pouze drží zamýšlený model seznamu
+
+import { useState, useCallback, useMemo } from 'react';
+import {
+  applyExpectedMove,
+  applyExpectedGroupMove,
+  applyExpectedDelete,
+  applyExpectedEdit,
+  findDivergentIndexes
+} from '../utils/divergence';
+
+/**
+ * @param {Array<string>} actualItems - Skutečné položky varianty (hodnoty)
+ */
+export const useDivergenceCheck = (actualItems) => {
+  const [expectedItems, setExpectedItems] = useState(actualItems);
+
+  /**
+   * Zaznamená zamýšlený přesun a porovná ho se skutečným výsledkem
+   * @param {string} grabbedValue - Hodnota, kterou uživatel chytil
+   * @param {string} overValue - Hodnota, nad kterou ji pustil
+   * @param {Array<string>} resultItems - Skutečný seznam po přesunu
+   * @param {boolean} isSwap - Zda se hodnoty prohazují
+   * @returns {Array<number>} Indexy, kde se výsledek liší od záměru
+   */
+  const expectMove = useCallback((grabbedValue, overValue, resultItems, isSwap = false) => {
+    const expected = applyExpectedMove(expectedItems, grabbedValue, overValue, isSwap);
+    setExpectedItems(expected);
+    return findDivergentIndexes(expected, resultItems);
+  }, [expectedItems]);
+
+  /**
+   * Zaznamená zamýšlený přesun skupiny vybraných položek
+   * @param {Array<string>} groupValues - Hodnoty, které byly vidět jako vybrané
+   * @param {string} grabbedValue - Hodnota, kterou uživatel chytil
+   * @param {string} overValue - Hodnota, nad kterou ji pustil
+   * @param {Array<string>} resultItems - Skutečný seznam po přesunu
+   * @returns {Array<number>} Indexy, kde se výsledek liší od záměru
+   */
+  const expectGroupMove = useCallback((groupValues, grabbedValue, overValue, resultItems) => {
+    const expected = applyExpectedGroupMove(expectedItems, groupValues, grabbedValue, overValue);
+    setExpectedItems(expected);
+    return findDivergentIndexes(expected, resultItems);
+  }, [expectedItems]);
+
+  const expectDelete = useCallback((value) => {
+    setExpectedItems(prevItems => applyExpectedDelete(prevItems, value));
+  }, []);
+
+  const expectEdit = useCallback((value, newValue) => {
+    setExpectedItems(prevItems => applyExpectedEdit(prevItems, value, newValue));
+  }, []);
+
+  // Po undo/reset/scénáři se záměr srovná se skutečným stavem
+  const syncExpected = useCallback((items) => {
+    setExpectedItems(items);
+  }, []);
+
+  const divergentIndexes = useMemo(() => {
+    return findDivergentIndexes(expectedItems, actualItems);
+  }, [expectedItems, actualItems]);
+
+  return {
+    expectedItems,
+    divergentIndexes,
+    expectMove,
+    expectGroupMove,
+    expectDelete,
+    expectEdit,
+    syncExpected
+  };
+};
@@ -1,60 +1,44 @@
 // src/hooks/useDragAndDrop.js
 // Custom hook pro drag and drop funkcionalitu
 // Tento hook neobsahuje business logiku specifickou pro aplikaci
-
-import { useState, useCallback } from 'react';
-import { arrayMove } from '@dnd-kit/sortable';
-
-export const useDragAndDrop = (initialItems, findIndexById) => {
-  const [items, setItems] = useState(initialItems);
-
-  const handleDragEnd = useCallback((event) => {
-    const { active, over } = event;
-    
-    if (!over || active.id === over.id) {
-      return null;
-    }
-
-    const oldIndex = findIndexById ? findIndexById(items, active.id) : active.id;
-    const newIndex = findIndexById ? findIndexById(items, over.id) : over.id;
-
-    if (oldIndex === -1 || newIndex === -1) {
-      return null;
-    }
-
-    const newItems = arrayMove(items, oldIndex, newIndex);
-    setItems(newItems);
-
-    return {
-      oldIndex,
-      newIndex,
-      activeId: active.id,
-      overId: over.id
-    };
-  }, [items, findIndexById]);
-
-  const deleteItem = useCallback((idOrIndex) => {
-    if (findIndexById) {
-      setItems(prevItems => prevItems.filter(item => item.id !== idOrIndex));
-    } else {
-      setItems(prevItems => prevItems.filter((_, index) => index !== idOrIndex));
-    }
-  }, [findIndexById]);
-
-  const addItem = useCallback((item) => {
-    setItems(prevItems => [...prevItems, item]);
-  }, []);
-
+//
+// Operace nad seznamem jsou v utils/listActions - hook drží stav jednoho seznamu,
+// seznamy variant z registru drží useVariantLists.
+
+import { useState, useRef, useCallback } from 'react';
+import { createList, createListActions, getObjectId } from '../utils/listActions';
+
+/**
+ * @param {Array} initialItems - Počáteční položky
+ * @param {Function} findIndexById - (items, id) => index; bez něj se jako ID použije index
+ * @param {Function} getId - Čtení ID z položky (výchozí item.id)
+ */
+export const useDragAndDrop = (initialItems, findIndexById, getId = getObjectId) => {
+  const [list, setList] = useState(() => createList(initialItems));
+  // Nejnovější stav - operace ho čtou i mezi commitem a dalším renderem
+  const listRef = useRef(list);
+  listRef.current = list;
+
+  // Operace se vytvoří jednou, findIndexById a getId se berou z prvního renderu
+  const [actions] = useState(() => createListActions(
+    () => listRef.current,
+    (newList) => {
+      listRef.current = newList;
+      setList(newList);
+    },
+    findIndexById,
+    getId
+  ));
+
+  const { setItems } = actions;
   const resetItems = useCallback(() => {
     setItems(initialItems);
-  }, [initialItems]);
+  }, [setItems, initialItems]);
 
   return {
-    items,
-    setItems,
-    handleDragEnd,
-    deleteItem,
-    addItem,
+    ...actions,
+    items: list.items,
+    selectedIds: list.selectedIds,
     resetItems
   };
-};
\ No newline at end of file
+};
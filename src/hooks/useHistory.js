@@ -1,36 +1,151 @@
 // src/hooks/useHistory.js
 // Custom hook pro správu historie akcí
 // Tento hook neobsahuje business logiku, pouze state management
+// Každý záznam nese snapshot stavu po akci, což umožňuje undo/redo
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useMemo } from 'react';
 import { UI_CONSTANTS } from '../constants';
 
-export const useHistory = () => {
-  const [history, setHistory] = useState([]);
+let entryCounter = 0;
 
-  const addHistoryEntry = useCallback((type, message, isWarning = false) => {
+/**
+ * Naformátuje čas záznamu podle locale (starší záznamy mají jen hotový text)
+ * @param {Object} entry - Záznam historie
+ * @param {string} locale - Locale pro formátování
+ * @returns {string} Čas záznamu
+ */
+const formatEntryTime = (entry, locale) => {
+  if (!entry.createdAt) {
+    return entry.timestamp;
+  }
+
+  return new Date(entry.createdAt).toLocaleTimeString(locale);
+};
+
+/**
+ * @param {Object} initialSnapshot - Stav před prvním záznamem (výchozí bod pro undo)
+ * @param {Object} restoredState - Uložená historie { entries, position, baseline }
+ * @param {string} locale - Locale pro formátování času záznamů
+ */
+export const useHistory = (initialSnapshot = null, restoredState = null, locale = undefined) => {
+  // Počet aplikovaných záznamů (position) - záznamy za touto pozicí jsou vrácené (redo)
+  const [timeline, setTimeline] = useState(() => {
+    const entries = restoredState?.entries || [];
+    // Nová ID záznamů nesmí kolidovat s obnovenými
+    entryCounter = entries.reduce((max, entry) => Math.max(max, entry.id || 0), entryCounter);
+    return { entries, position: restoredState?.position ?? entries.length };
+  });
+  const [baseline, setBaseline] = useState(restoredState?.baseline ?? initialSnapshot);
+  const { entries: history, position } = timeline;
+
+  /**
+   * @param {string} type - Typ varianty (nebo HISTORY_TYPES.SCENARIO)
+   * @param {Object|string} message - Zpráva { key, params } - překládá se až při zobrazení
+   * @param {boolean} isWarning - Zda jde o varování
+   * @param {Object} snapshot - Stav po akci
+   * @param {Object} details - { operation, ids, indexes } pro filtrování a export
+   */
+  const addHistoryEntry = useCallback((type, message, isWarning = false, snapshot = null, details = null) => {
     const entry = {
+      id: ++entryCounter,
       type,
+      operation: details?.operation ?? null,
+      ids: details?.ids ?? [],
+      indexes: details?.indexes ?? [],
       message,
-      timestamp: new Date().toLocaleTimeString(),
-      warning: isWarning
+      createdAt: new Date().toISOString(),
+      warning: isWarning,
+      snapshot
     };
 
-    setHistory(prevHistory => [...prevHistory, entry]);
+    // Nová akce po undo zahodí vrácené záznamy
+    setTimeline(prevTimeline => ({
+      entries: [...prevTimeline.entries.slice(0, prevTimeline.position), entry],
+      position: prevTimeline.position + 1
+    }));
   }, []);
 
-  const clearHistory = useCallback(() => {
-    setHistory([]);
+  const clearHistory = useCallback((newBaseline = null) => {
+    setTimeline({ entries: [], position: 0 });
+    setBaseline(newBaseline);
   }, []);
 
-  const getRecentHistory = useCallback(() => {
-    return history.slice(-UI_CONSTANTS.HISTORY_DISPLAY_LIMIT).reverse();
-  }, [history]);
+  const setPosition = useCallback((newPosition) => {
+    setTimeline(prevTimeline => ({ ...prevTimeline, position: newPosition }));
+  }, []);
+
+  const getSnapshotAt = useCallback((targetPosition) => {
+    if (targetPosition === 0) {
+      return baseline;
+    }
+    return history[targetPosition - 1].snapshot;
+  }, [history, baseline]);
+
+  /**
+   * Vrátí poslední aplikovaný záznam
+   * @returns {Object|null} Snapshot, který se má obnovit
+   */
+  const undo = useCallback(() => {
+    if (position === 0) {
+      return null;
+    }
+
+    setPosition(position - 1);
+    return getSnapshotAt(position - 1);
+  }, [position, setPosition, getSnapshotAt]);
+
+  /**
+   * Znovu aplikuje první vrácený záznam
+   * @returns {Object|null} Snapshot, který se má obnovit
+   */
+  const redo = useCallback(() => {
+    if (position === history.length) {
+      return null;
+    }
+
+    setPosition(position + 1);
+    return getSnapshotAt(position + 1);
+  }, [position, history.length, setPosition, getSnapshotAt]);
+
+  /**
+   * Přeskočí na stav po zadaném záznamu
+   * @param {Object} entry - Záznam historie
+   * @returns {Object|null} Snapshot, který se má obnovit
+   */
+  const jumpTo = useCallback((entry) => {
+    const index = history.findIndex(item => item.id === entry.id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    setPosition(index + 1);
+    return getSnapshotAt(index + 1);
+  }, [history, setPosition, getSnapshotAt]);
+
+  // Všechny záznamy od nejnovějšího, s časem pro zobrazení a příznakem vrácení
+  const allHistory = useMemo(() => {
+    return history
+      .map((entry, index) => ({
+        ...entry,
+        timestamp: formatEntryTime(entry, locale),
+        undone: index >= position
+      }))
+      .reverse();
+  }, [history, position, locale]);
 
   return {
     history,
-    recentHistory: getRecentHistory(),
+    position,
+    baseline,
+    allHistory,
+    recentHistory: allHistory.slice(0, UI_CONSTANTS.HISTORY_DISPLAY_LIMIT),
     addHistoryEntry,
-    clearHistory
+    clearHistory,
+    undo,
+    redo,
+    jumpTo,
+    canUndo: position > 0,
+    canRedo: position < history.length
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,102 @@
+// src/hooks/useIdBenchmark.js
+// Custom hook pro spuštění benchmarku generátorů ID ve Web Workeru
+// Tento hook neobsahuje business logiku, pouze řídí životní cyklus workeru
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+export const useIdBenchmark = () => {
+  const workerRef = useRef(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
+  // Parametry, se kterými vznikly výsledky - formulář se mezitím může změnit
+  const [parameters, setParameters] = useState(null);
+  // Chyba workeru (výjimka při běhu nebo nenačtený skript) - { message }
+  const [error, setError] = useState(null);
+
+  const stopWorker = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Spustí benchmark vybraných generátorů
+   * @param {Array<string>} generators - Typy generátorů
+   * @param {number} count - Počet ID na generátor
+   * @param {number} size - Délka nanoid
+   */
+  const start = useCallback((generators, count, size) => {
+    stopWorker();
+
+    let worker;
+    try {
+      worker = new Worker(
+        new URL('../workers/idBenchmark.worker.js', import.meta.url),
+        { type: 'module' }
+      );
+    } catch (workerError) {
+      // Prohlížeč bez podpory module workerů
+      setResults([]);
+      setError({ message: workerError.message });
+      return;
+    }
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      switch (message.type) {
+        case 'progress':
+          setProgress(message);
+          break;
+        case 'result':
+          setResults(prevResults => [...prevResults, message.result]);
+          break;
+        case 'done':
+          setIsRunning(false);
+          setProgress(null);
+          stopWorker();
+          break;
+        default:
+          break;
+      }
+    };
+
+    // Bez zprávy 'done' by panel zůstal zamčený - chyba běh ukončí
+    worker.onerror = (event) => {
+      event.preventDefault();
+      setError({ message: event.message || '' });
+      setIsRunning(false);
+      setProgress(null);
+      stopWorker();
+    };
+
+    workerRef.current = worker;
+    setParameters({ count, size });
+    setResults([]);
+    setError(null);
+    setProgress(null);
+    setIsRunning(true);
+    worker.postMessage({ generators, count, size });
+  }, [stopWorker]);
+
+  const cancel = useCallback(() => {
+    stopWorker();
+    setIsRunning(false);
+    setProgress(null);
+  }, [stopWorker]);
+
+  // Worker se ukončí při odmontování komponenty
+  useEffect(() => stopWorker, [stopWorker]);
+
+  return {
+    isRunning,
+    progress,
+    results,
+    parameters,
+    error,
+    start,
+    cancel
+  };
+};
@@ -0,0 +1,112 @@
+// src/hooks/useKanban.js
+// Custom hook pro drag and drop mezi více sloupci pod jedním DndContext
+// Tento hook neobsahuje business logiku specifickou pro aplikaci
+
+import { useState, useCallback, useRef } from 'react';
+import { arrayMove } from '@dnd-kit/sortable';
+import { findColumnId, findIndexByIndex, moveItemToColumn } from '../utils/kanban';
+
+/**
+ * @param {Object} initialColumns - Položky podle sloupce
+ * @param {Function} findIndexById - (items, id) => index; bez něj se jako ID použije index
+ */
+export const useKanban = (initialColumns, findIndexById) => {
+  const [columns, setColumns] = useState(initialColumns);
+  // Stav na začátku tažení - onDragOver přesouvá položku mezi sloupci průběžně
+  const dragStartRef = useRef(null);
+  const findIndex = findIndexById || findIndexByIndex;
+
+  const handleDragStart = useCallback((event) => {
+    dragStartRef.current = {
+      columnId: findColumnId(columns, event.active.id, findIndex),
+      columns
+    };
+  }, [columns, findIndex]);
+
+  const handleDragOver = useCallback((event) => {
+    const { active, over } = event;
+
+    if (!over) {
+      return;
+    }
+
+    setColumns(prevColumns => {
+      const fromColumn = findColumnId(prevColumns, active.id, findIndex);
+      const toColumn = findColumnId(prevColumns, over.id, findIndex);
+
+      if (!fromColumn || !toColumn || fromColumn === toColumn) {
+        return prevColumns;
+      }
+
+      const fromIndex = findIndex(prevColumns[fromColumn], active.id);
+      const overIndex = findIndex(prevColumns[toColumn], over.id);
+      const toIndex = overIndex === -1 ? prevColumns[toColumn].length : overIndex;
+
+      return moveItemToColumn(prevColumns, fromColumn, fromIndex, toColumn, toIndex);
+    });
+  }, [findIndex]);
+
+  const handleDragEnd = useCallback((event) => {
+    const { active, over } = event;
+    const dragStart = dragStartRef.current;
+    dragStartRef.current = null;
+
+    const columnId = findColumnId(columns, active.id, findIndex);
+
+    if (!over || !columnId || findColumnId(columns, over.id, findIndex) !== columnId) {
+      return null;
+    }
+
+    const items = columns[columnId];
+    const oldIndex = findIndex(items, active.id);
+    const overIndex = findIndex(items, over.id);
+    const newIndex = overIndex === -1 ? items.length - 1 : overIndex;
+    const fromColumn = dragStart?.columnId ?? columnId;
+
+    if (oldIndex === newIndex && fromColumn === columnId) {
+      return null;
+    }
+
+    const newColumns = oldIndex === newIndex
+      ? columns
+      : { ...columns, [columnId]: arrayMove(items, oldIndex, newIndex) };
+    setColumns(newColumns);
+
+    return {
+      fromColumn,
+      toColumn: columnId,
+      newIndex,
+      item: newColumns[columnId][newIndex],
+      columns: newColumns
+    };
+  }, [columns, findIndex]);
+
+  // Zrušené tažení vrátí položku do původního sloupce
+  const handleDragCancel = useCallback(() => {
+    if (dragStartRef.current) {
+      setColumns(dragStartRef.current.columns);
+      dragStartRef.current = null;
+    }
+  }, []);
+
+  const deleteItem = useCallback((columnId, idOrIndex) => {
+    const index = findIndex(columns[columnId], idOrIndex);
+    const newColumns = {
+      ...columns,
+      [columnId]: columns[columnId].filter((_, itemIndex) => itemIndex !== index)
+    };
+
+    setColumns(newColumns);
+    return newColumns;
+  }, [columns, findIndex]);
+
+  return {
+    columns,
+    setColumns,
+    handleDragStart,
+    handleDragOver,
+    handleDragEnd,
+    handleDragCancel,
+    deleteItem
+  };
+};
@@ -0,0 +1,79 @@
+// src/hooks/usePerformanceMonitor.js
+// Custom hook pro měření FPS, latence tažení a počtu renderů
+// Tento hook neobsahuje business logiku, pouze sbírá metriky pro overlay
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { UI_CONSTANTS } from '../constants';
+
+/**
+ * @param {boolean} isEnabled - Měření FPS běží jen když je overlay vidět
+ */
+export const usePerformanceMonitor = (isEnabled) => {
+  const [fps, setFps] = useState(null);
+  const [latencies, setLatencies] = useState({});
+  const [renderCounts, setRenderCounts] = useState({});
+  // Počítadla renderů se zvyšují během renderu, do state se propisují při vzorkování
+  const renderCountsRef = useRef({});
+
+  const countRender = useCallback((key) => {
+    renderCountsRef.current[key] = (renderCountsRef.current[key] || 0) + 1;
+  }, []);
+
+  /**
+   * Změří čas od puštění položky po další snímek (render + commit nového pořadí)
+   * @param {string} key - Klíč seznamu
+   * @param {Function} action - Akce, která změní stav
+   * @returns {*} Výsledek akce
+   */
+  const measureLatency = useCallback((key, action) => {
+    const start = performance.now();
+    const result = action();
+
+    requestAnimationFrame(() => {
+      setLatencies(prevLatencies => ({ ...prevLatencies, [key]: performance.now() - start }));
+    });
+
+    return result;
+  }, []);
+
+  const resetMetrics = useCallback(() => {
+    renderCountsRef.current = {};
+    setRenderCounts({});
+    setLatencies({});
+  }, []);
+
+  useEffect(() => {
+    if (!isEnabled) {
+      return undefined;
+    }
+
+    let frameId;
+    let frames = 0;
+    let sampleStart = performance.now();
+
+    const tick = (now) => {
+      frames++;
+
+      if (now - sampleStart >= UI_CONSTANTS.PERFORMANCE_SAMPLE_INTERVAL) {
+        setFps(Math.round((frames * 1000) / (now - sampleStart)));
+        setRenderCounts({ ...renderCountsRef.current });
+        frames = 0;
+        sampleStart = now;
+      }
+
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [isEnabled]);
+
+  return {
+    fps,
+    latencies,
+    renderCounts,
+    countRender,
+    measureLatency,
+    resetMetrics
+  };
+};
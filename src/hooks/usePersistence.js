@@ -0,0 +1,40 @@
+// src/hooks/usePersistence.js
+// Custom hooky pro ukládání stavu aplikace do localStorage
+// Tyto hooky neobsahují business logiku, pouze synchronizaci s úložištěm
+
+import { useState, useEffect } from 'react';
+import { loadPersistedState, savePersistedState, SAVE_RESULTS } from '../utils/storage';
+import { restoreIncrementalCounter, getIncrementalCounter } from '../utils/idGenerators';
+
+/**
+ * Načte uložený stav jednou při prvním renderu a obnoví čítač ID
+ * @returns {Object|null} Stav načtený při startu aplikace
+ */
+export const usePersistedState = () => {
+  const [persistedState] = useState(() => {
+    const loaded = loadPersistedState();
+
+    if (loaded) {
+      restoreIncrementalCounter(loaded.idCounter);
+    }
+
+    return loaded;
+  });
+
+  return persistedState;
+};
+
+/**
+ * Uloží stav při každé jeho změně
+ * @param {Object} state - Aktuální stav (variants, ui, history) - musí být memoizovaný
+ * @returns {string} Výsledek posledního uložení z SAVE_RESULTS
+ */
+export const usePersistence = (state) => {
+  const [saveResult, setSaveResult] = useState(SAVE_RESULTS.SAVED);
+
+  useEffect(() => {
+    setSaveResult(savePersistedState({ ...state, idCounter: getIncrementalCounter() }));
+  }, [state]);
+
+  return saveResult;
+};
@@ -0,0 +1,118 @@
+// src/hooks/useScenario.js
+// Custom hook pro nahrávání a krokové přehrávání scénářů
+// Tento hook neobsahuje business logiku, aplikaci kroků deleguje na volajícího
+
+import { useState, useCallback, useEffect } from 'react';
+import { createScript } from '../utils/scenario';
+import { UI_CONSTANTS } from '../constants';
+
+/**
+ * @param {Function} onRewind - Obnoví počáteční stav skriptu (dostane script.start)
+ * @param {Function} onApplyStep - Aplikuje jeden krok (dostane krok, jeho pořadí a celkový počet)
+ */
+export const useScenario = (onRewind, onApplyStep) => {
+  const [script, setScript] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  // Index dalšího kroku k přehrání, null = přehrávání nezačalo
+  const [stepIndex, setStepIndex] = useState(null);
+
+  const startRecording = useCallback((startSnapshot) => {
+    setScript(createScript(startSnapshot));
+    setStepIndex(null);
+    setIsPlaying(false);
+    setIsRecording(true);
+  }, []);
+
+  const stopRecording = useCallback(() => {
+    setIsRecording(false);
+  }, []);
+
+  const recordStep = useCallback((step) => {
+    if (!isRecording) {
+      return;
+    }
+
+    setScript(prevScript => ({
+      ...prevScript,
+      steps: [...prevScript.steps, step]
+    }));
+  }, [isRecording]);
+
+  const loadScript = useCallback((newScript) => {
+    setScript(newScript);
+    setStepIndex(null);
+    setIsPlaying(false);
+    setIsRecording(false);
+  }, []);
+
+  const rewind = useCallback(() => {
+    if (!script) {
+      return;
+    }
+
+    onRewind(script.start);
+    setStepIndex(0);
+  }, [script, onRewind]);
+
+  /**
+   * Přehraje další krok, při prvním volání nejdřív obnoví počáteční stav
+   */
+  const playStep = useCallback(() => {
+    if (!script) {
+      return;
+    }
+
+    if (stepIndex === null) {
+      rewind();
+      return;
+    }
+
+    if (stepIndex >= script.steps.length) {
+      setIsPlaying(false);
+      return;
+    }
+
+    onApplyStep(script.steps[stepIndex], stepIndex + 1, script.steps.length);
+    setStepIndex(stepIndex + 1);
+  }, [script, stepIndex, rewind, onApplyStep]);
+
+  const play = useCallback(() => {
+    // Dohraný scénář se přehraje znovu od začátku
+    if (script && stepIndex === script.steps.length) {
+      setStepIndex(null);
+    }
+
+    setIsRecording(false);
+    setIsPlaying(true);
+  }, [script, stepIndex]);
+
+  const pause = useCallback(() => {
+    setIsPlaying(false);
+  }, []);
+
+  // Automatické přehrávání - jeden krok za UI_CONSTANTS.SCENARIO_STEP_DELAY
+  useEffect(() => {
+    if (!isPlaying) {
+      return undefined;
+    }
+
+    const timeoutId = setTimeout(playStep, UI_CONSTANTS.SCENARIO_STEP_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [isPlaying, playStep]);
+
+  return {
+    script,
+    isRecording,
+    isPlaying,
+    stepIndex,
+    startRecording,
+    stopRecording,
+    recordStep,
+    loadScript,
+    rewind,
+    playStep,
+    play,
+    pause
+  };
+};
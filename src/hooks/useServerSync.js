@@ -0,0 +1,214 @@
+// src/hooks/useServerSync.js
+// Custom hook pro synchronizaci seznamu s mock backendem
+// Tento hook neobsahuje business logiku aplikace, pouze odesílá požadavky a smiřuje odpovědi
+//
+// Změny se do seznamu propisují optimisticky hned (handlery v App), hook je pak
+// potvrdí serverem: dočasné ID vymění za ID ze serveru, při chybě změnu vrátí.
+// Výsledek každé operace dostane onResult (záznam do historie).
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { createMockBackend, isTemporaryId, HTTP_STATUS } from '../utils/mockBackend';
+import { SYNC_OPERATIONS } from '../constants';
+
+const ignoreRejection = () => {};
+
+/**
+ * @param {Object} list - Seznam z useVariantLists (nebo useDragAndDrop)
+ * @param {Object} settings - { latency, failureRate }
+ * @param {Function} onResult - ({ operation, confirmed, status, id, value, ..., items }) => void
+ */
+export const useServerSync = (list, settings, onResult) => {
+  const listRef = useRef(list);
+  listRef.current = list;
+  const onResultRef = useRef(onResult);
+  onResultRef.current = onResult;
+
+  // Položky s dočasným ID z minulé relace (reload během požadavku) server ještě nemá
+  const [initialTemporaryItems] = useState(() => list.items.filter(item => isTemporaryId(item.id)));
+  const [backend] = useState(() => createMockBackend(
+    list.items.filter(item => !isTemporaryId(item.id)),
+    settings
+  ));
+  const [pendingIds, setPendingIds] = useState([]);
+  const [requestCount, setRequestCount] = useState(0);
+  // Dočasné ID → Promise s ID ze serveru; další operace s novou položkou na něj počkají
+  const createdIdsRef = useRef(new Map());
+  // Dočasné ID → ID ze serveru po potvrzení (vrácení pořadí zadaného ještě s dočasnými ID)
+  const confirmedIdsRef = useRef(new Map());
+
+  const { latency, failureRate } = settings;
+  useEffect(() => {
+    backend.configure({ latency, failureRate });
+  }, [backend, latency, failureRate]);
+
+  // Rozpracované požadavky se při odmontování zruší
+  useEffect(() => backend.abort, [backend]);
+
+  const send = useCallback((method, path, body) => {
+    setRequestCount(count => count + 1);
+    const request = backend.request(method, path, body);
+    request.catch(ignoreRejection).finally(() => setRequestCount(count => count - 1));
+    return request;
+  }, [backend]);
+
+  // Zrušené požadavky (nové naplnění databáze) se nehlásí ani nevrací
+  const report = useCallback((result) => {
+    if (result.status !== HTTP_STATUS.ABORTED) {
+      onResultRef.current(result);
+    }
+  }, []);
+
+  const resolveServerId = useCallback((id) => {
+    return createdIdsRef.current.get(id) ?? Promise.resolve(id);
+  }, []);
+
+  /**
+   * Nová položka už je v seznamu s dočasným ID
+   * @param {Object} item - { id, value, clientId }
+   */
+  const create = useCallback((item) => {
+    const request = send('POST', '/items', { value: item.value });
+    const serverId = request.then(response => response.body.id);
+    serverId.catch(ignoreRejection);
+    createdIdsRef.current.set(item.id, serverId);
+    setPendingIds(prevIds => (prevIds.includes(item.id) ? prevIds : [...prevIds, item.id]));
+
+    // Novější odeslání stejné položky (znovu po zrušení) se neuzavírá
+    const settle = () => {
+      if (createdIdsRef.current.get(item.id) !== serverId) {
+        return;
+      }
+      createdIdsRef.current.delete(item.id);
+      setPendingIds(prevIds => prevIds.filter(id => id !== item.id));
+    };
+
+    request.then(({ body }) => {
+      settle();
+      confirmedIdsRef.current.set(item.id, body.id);
+      const items = listRef.current.replaceItemId(item.id, body.id);
+      report({
+        operation: SYNC_OPERATIONS.CREATE,
+        confirmed: true,
+        value: item.value,
+        temporaryId: item.id,
+        id: body.id,
+        items
+      });
+    }, (error) => {
+      settle();
+      if (error.status === HTTP_STATUS.ABORTED) {
+        return;
+      }
+      const items = listRef.current.removeItem(item.id);
+      report({
+        operation: SYNC_OPERATIONS.CREATE,
+        confirmed: false,
+        status: error.status,
+        value: item.value,
+        items
+      });
+    });
+  }, [send, report]);
+
+  /**
+   * Nové pořadí už je v seznamu
+   * @param {Array<string>} previousIds - ID v pořadí před přesunem
+   * @param {Array<string>} ids - ID v novém pořadí
+   */
+  const reorder = useCallback((previousIds, ids) => {
+    // Položky, které server odmítl vytvořit nebo které se mezitím smazaly, v pořadí chybí
+    Promise.allSettled(ids.map(resolveServerId))
+      .then(results => results.filter(result => result.status === 'fulfilled').map(result => result.value))
+      .then(serverIds => {
+        const currentIds = listRef.current.items.map(item => item.id);
+        return send('PUT', '/items/order', { ids: serverIds.filter(id => currentIds.includes(id)) });
+      })
+      .then(() => report({ operation: SYNC_OPERATIONS.REORDER, confirmed: true }), (error) => {
+        if (error.status === HTTP_STATUS.ABORTED) {
+          return;
+        }
+        // Vrátí se jen tento přesun - přesuny provedené během požadavku zůstanou
+        const toServerId = (id) => confirmedIdsRef.current.get(id) ?? id;
+        const items = listRef.current.revertMove(previousIds.map(toServerId), ids.map(toServerId));
+        report({ operation: SYNC_OPERATIONS.REORDER, confirmed: false, status: error.status, items });
+      });
+  }, [send, report, resolveServerId]);
+
+  /**
+   * Položka už je ze seznamu smazaná
+   * @param {Object} item - Smazaná položka
+   * @param {number} index - Pozice před smazáním
+   */
+  const remove = useCallback((item, index) => {
+    // Položku, kterou server nevytvořil, není na serveru potřeba mazat
+    resolveServerId(item.id).then(serverId => send('DELETE', `/items/${serverId}`).then(
+      () => report({ operation: SYNC_OPERATIONS.DELETE, confirmed: true, value: item.value }),
+      (error) => {
+        if (error.status === HTTP_STATUS.ABORTED) {
+          return;
+        }
+        const items = listRef.current.restoreItem({ ...item, id: serverId }, index);
+        report({
+          operation: SYNC_OPERATIONS.DELETE,
+          confirmed: false,
+          status: error.status,
+          id: serverId,
+          value: item.value,
+          items
+        });
+      }
+    ), ignoreRejection);
+  }, [send, report, resolveServerId]);
+
+  /**
+   * Nová hodnota už je v seznamu
+   * @param {string} id - ID položky
+   * @param {string} value - Nová hodnota
+   * @param {string} previousValue - Hodnota před úpravou
+   */
+  const update = useCallback((id, value, previousValue) => {
+    resolveServerId(id).then(serverId => send('PATCH', `/items/${serverId}`, { value }).then(
+      () => report({ operation: SYNC_OPERATIONS.UPDATE, confirmed: true, value }),
+      (error) => {
+        if (error.status === HTTP_STATUS.ABORTED) {
+          return;
+        }
+        const items = listRef.current.restoreValue(serverId, previousValue);
+        report({
+          operation: SYNC_OPERATIONS.UPDATE,
+          confirmed: false,
+          status: error.status,
+          id: serverId,
+          value,
+          previousValue,
+          items
+        });
+      }
+    ), ignoreRejection);
+  }, [send, report, resolveServerId]);
+
+  // Nepotvrzené položky z minulé relace se odešlou znovu (po zrušení ve StrictMode i podruhé)
+  useEffect(() => {
+    initialTemporaryItems.forEach(create);
+  }, [initialTemporaryItems, create]);
+
+  /**
+   * Seznam byl nahrazen celý (reset, import, undo, přetočení scénáře) - server dostane stejná data
+   * @param {Array<Object>} items - Nové položky
+   */
+  const reseed = useCallback((items) => {
+    backend.seed(items);
+    createdIdsRef.current.clear();
+    setPendingIds([]);
+  }, [backend]);
+
+  return {
+    pendingIds,
+    requestCount,
+    create,
+    reorder,
+    remove,
+    update,
+    reseed
+  };
+};
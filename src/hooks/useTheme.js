@@ -0,0 +1,13 @@
+// src/hooks/useTheme.js
+// Custom hook pro přístup k aktuálnímu tématu
+// Tento hook neobsahuje business logiku, pouze čte ThemeContext
+
+import { useContext } from 'react';
+import { ThemeContext } from '../theme/ThemeContext';
+
+/**
+ * @returns {Object} { preference, theme, palette }
+ */
+export const useTheme = () => {
+  return useContext(ThemeContext);
+};
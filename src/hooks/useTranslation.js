@@ -0,0 +1,13 @@
+// src/hooks/useTranslation.js
+// Custom hook pro přístup k překladům
+// Tento hook neobsahuje business logiku, pouze čte I18nContext
+
+import { useContext } from 'react';
+import { I18nContext } from '../i18n/I18nContext';
+
+/**
+ * @returns {Object} { t, language, locale }
+ */
+export const useTranslation = () => {
+  return useContext(I18nContext);
+};
@@ -0,0 +1,115 @@
+// src/hooks/useTree.js
+// Custom hook pro stromový sortable seznam se zanořováním podle vodorovného posunu
+// Tento hook neobsahuje business logiku specifickou pro aplikaci
+
+import { useState, useCallback, useMemo } from 'react';
+import {
+  flattenTree,
+  removeChildrenOf,
+  getProjection,
+  moveTreeItem,
+  removeTreeItem
+} from '../utils/tree';
+import { UI_CONSTANTS } from '../constants';
+
+/**
+ * @param {Array} initialTree - Uzly { value, children } (případně s id)
+ * @param {Function} getNodeId - (node) => ID; bez něj se jako ID použije cesta indexů
+ */
+export const useTree = (initialTree, getNodeId) => {
+  const [tree, setTree] = useState(initialTree);
+  // Sbalené uzly podle ID - u cest indexů zůstane sbalená pozice, ne uzel
+  const [collapsedIds, setCollapsedIds] = useState([]);
+  const [drag, setDrag] = useState({ activeId: null, overId: null, offsetX: 0 });
+  const { activeId, overId, offsetX } = drag;
+
+  const flatItems = useMemo(() => flattenTree(tree, getNodeId), [tree, getNodeId]);
+
+  // Tažený uzel skryje své potomky - přesouvá se jako jeden celek
+  const visibleItems = useMemo(() => removeChildrenOf(
+    flatItems,
+    activeId === null ? collapsedIds : [...collapsedIds, activeId]
+  ), [flatItems, collapsedIds, activeId]);
+
+  const projection = useMemo(() => {
+    if (activeId === null || overId === null) {
+      return null;
+    }
+
+    return getProjection(visibleItems, activeId, overId, offsetX, UI_CONSTANTS.TREE_INDENTATION_WIDTH);
+  }, [visibleItems, activeId, overId, offsetX]);
+
+  const resetDrag = useCallback(() => {
+    setDrag({ activeId: null, overId: null, offsetX: 0 });
+  }, []);
+
+  const handleDragStart = useCallback((event) => {
+    setDrag({ activeId: event.active.id, overId: event.active.id, offsetX: 0 });
+  }, []);
+
+  const handleDragMove = useCallback((event) => {
+    setDrag(prevDrag => ({ ...prevDrag, offsetX: event.delta.x }));
+  }, []);
+
+  const handleDragOver = useCallback((event) => {
+    setDrag(prevDrag => ({ ...prevDrag, overId: event.over?.id ?? null }));
+  }, []);
+
+  const handleDragEnd = useCallback((event) => {
+    const { active, over } = event;
+    resetDrag();
+
+    if (!over || !projection) {
+      return null;
+    }
+
+    const activeItem = flatItems.find(item => item.id === active.id);
+
+    if (over.id === active.id && activeItem.parentId === projection.parentId) {
+      return null;
+    }
+
+    const newTree = moveTreeItem(flatItems, active.id, over.id, projection);
+    setTree(newTree);
+
+    return {
+      value: activeItem.value,
+      depth: projection.depth,
+      tree: newTree
+    };
+  }, [flatItems, projection, resetDrag]);
+
+  const toggleCollapse = useCallback((id) => {
+    setCollapsedIds(prevIds => (
+      prevIds.includes(id) ? prevIds.filter(collapsedId => collapsedId !== id) : [...prevIds, id]
+    ));
+  }, []);
+
+  const deleteItem = useCallback((id) => {
+    const newTree = removeTreeItem(flatItems, id);
+    setTree(newTree);
+    return newTree;
+  }, [flatItems]);
+
+  const resetTree = useCallback((newTree) => {
+    setTree(newTree);
+    setCollapsedIds([]);
+    resetDrag();
+  }, [resetDrag]);
+
+  return {
+    tree,
+    visibleItems,
+    collapsedIds,
+    activeId,
+    projection,
+    resetTree,
+    handleDragStart,
+    handleDragMove,
+    handleDragOver,
+    handleDragEnd,
+    handleDragCancel: resetDrag,
+    toggleCollapse,
+    deleteItem
+  };
+};
@@ -0,0 +1,65 @@
+// src/hooks/useUrlState.js
+// Custom hooky pro synchronizaci stavu aplikace s URL hashem
+// Tyto hooky neobsahují business logiku, pouze synchronizaci s adresou stránky
+
+import { useState, useEffect, useRef } from 'react';
+import { encodeUrlState, decodeUrlState } from '../utils/urlState';
+import { findMaxIncrementalIdInSnapshot } from '../utils/storage';
+import { restoreIncrementalCounter } from '../utils/idGenerators';
+
+/**
+ * Načte stav z URL hashe jednou při prvním renderu a obnoví čítač ID
+ * @returns {Object|null} Stav ze sdíleného odkazu
+ */
+export const useInitialUrlState = () => {
+  const [urlState] = useState(() => {
+    const decoded = decodeUrlState(window.location.hash);
+
+    if (decoded?.variants) {
+      restoreIncrementalCounter(findMaxIncrementalIdInSnapshot(decoded.variants));
+    }
+
+    return decoded;
+  });
+
+  return urlState;
+};
+
+/**
+ * Zapisuje stav do URL hashe. Změna záložky vytvoří nový záznam v historii prohlížeče,
+ * ostatní změny přepíší aktuální záznam. Zpět/vpřed obnoví záložku a debug režim.
+ * @param {Object} state - { activeTab, showDebug, variants } - musí být memoizovaný
+ * @param {Function} onNavigate - Dostane dekódovaný stav při navigaci zpět/vpřed
+ */
+export const useUrlState = (state, onNavigate) => {
+  // Záložka v aktuálním záznamu historie prohlížeče
+  const lastTabRef = useRef(state.activeTab);
+
+  useEffect(() => {
+    const hash = `#${encodeUrlState(state)}`;
+
+    if (hash === window.location.hash) {
+      return;
+    }
+
+    const method = state.activeTab !== lastTabRef.current ? 'pushState' : 'replaceState';
+    lastTabRef.current = state.activeTab;
+    window.history[method](null, '', hash);
+  }, [state]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const decoded = decodeUrlState(window.location.hash);
+
+      if (!decoded) {
+        return;
+      }
+
+      lastTabRef.current = decoded.activeTab ?? lastTabRef.current;
+      onNavigate(decoded);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [onNavigate]);
+};
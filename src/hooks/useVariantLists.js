@@ -0,0 +1,75 @@
+// src/hooks/useVariantLists.js
+// Custom hook pro seznamy všech variant z registru
+// Tento hook neobsahuje business logiku aplikace, pouze stav seznamů a jejich operace
+//
+// Všechny seznamy jsou v jednom reduceru podle typu varianty, takže se počet hooků
+// nemění s počtem variant. Operace každého seznamu jsou stejné jako v useDragAndDrop.
+
+import { useReducer, useRef, useState, useMemo } from 'react';
+import { VARIANTS } from '../variants';
+import { getIndexFinder, getIdGetter } from '../variants/items';
+import { createList, createListActions } from '../utils/listActions';
+
+// Položky a výběr jsou oddělené, aby se snapshot položek neměnil s výběrem
+const createState = (snapshot) => ({
+  items: snapshot,
+  selectedIds: Object.fromEntries(VARIANTS.map(variant => [variant.type, []]))
+});
+
+const replaceEntry = (entries, variantType, value) => {
+  return entries[variantType] === value ? entries : { ...entries, [variantType]: value };
+};
+
+/**
+ * @param {Object} state - { items, selectedIds } podle typu varianty
+ * @param {Object} action - { variantType, list }
+ * @returns {Object} Nový stav
+ */
+const variantListsReducer = (state, { variantType, list }) => {
+  const items = replaceEntry(state.items, variantType, list.items);
+  const selectedIds = replaceEntry(state.selectedIds, variantType, list.selectedIds);
+
+  return items === state.items && selectedIds === state.selectedIds ? state : { items, selectedIds };
+};
+
+const getVariantList = (state, variantType) => {
+  return createList(state.items[variantType], state.selectedIds[variantType]);
+};
+
+/**
+ * @param {Object} initialSnapshot - Počáteční položky podle typu varianty
+ * @returns {Object} { lists, actions, snapshot } - seznamy a stabilní operace podle typu varianty,
+ *   snapshot jsou položky všech variant (mění se jen se změnou položek)
+ */
+export const useVariantLists = (initialSnapshot) => {
+  const [state, dispatch] = useReducer(variantListsReducer, initialSnapshot, createState);
+  // Nejnovější stav - operace ho čtou i mezi commitem a dalším renderem
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const [actions] = useState(() => Object.fromEntries(VARIANTS.map(variant => [
+    variant.type,
+    createListActions(
+      () => getVariantList(stateRef.current, variant.type),
+      (list) => {
+        const action = { variantType: variant.type, list };
+        stateRef.current = variantListsReducer(stateRef.current, action);
+        dispatch(action);
+      },
+      getIndexFinder(variant),
+      getIdGetter(variant)
+    )
+  ])));
+
+  const lists = useMemo(() => Object.fromEntries(VARIANTS.map(variant => [variant.type, {
+    ...actions[variant.type],
+    items: state.items[variant.type],
+    selectedIds: state.selectedIds[variant.type]
+  }])), [actions, state]);
+
+  return {
+    lists,
+    actions,
+    snapshot: state.items
+  };
+};
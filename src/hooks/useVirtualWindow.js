@@ -0,0 +1,36 @@
+// src/hooks/useVirtualWindow.js
+// Custom hook pro windowing dlouhého seznamu ve scroll kontejneru
+// Tento hook neobsahuje business logiku, pouze sleduje scroll a počítá rozsah
+
+import { useState, useCallback, useMemo } from 'react';
+import { getVisibleRange } from '../utils/virtualWindow';
+import { UI_CONSTANTS } from '../constants';
+
+/**
+ * @param {number} count - Celkový počet řádků
+ * @param {Object} options - { rowHeight, viewportHeight, overscan }
+ */
+export const useVirtualWindow = (count, {
+  rowHeight = UI_CONSTANTS.LARGE_LIST_ROW_HEIGHT,
+  viewportHeight = UI_CONSTANTS.LARGE_LIST_VIEWPORT_HEIGHT,
+  overscan = UI_CONSTANTS.LARGE_LIST_OVERSCAN
+} = {}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+
+  // Scroll vyvolává i auto-scroll DnD Kitu při tažení k okraji
+  const handleScroll = useCallback((event) => {
+    setScrollTop(event.currentTarget.scrollTop);
+  }, []);
+
+  const range = useMemo(() => {
+    return getVisibleRange(scrollTop, viewportHeight, rowHeight, count, overscan);
+  }, [scrollTop, viewportHeight, rowHeight, count, overscan]);
+
+  return {
+    range,
+    rowHeight,
+    viewportHeight,
+    totalHeight: count * rowHeight,
+    handleScroll
+  };
+};
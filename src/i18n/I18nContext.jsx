@@ -0,0 +1,27 @@
+// src/i18n/I18nContext.jsx
+// React kontext pro aktuální jazyk a překladovou funkci
+// Tato komponenta neobsahuje business logiku, pouze zpřístupňuje překlady stromu komponent
+
+import React, { createContext, useMemo } from 'react';
+import { DEFAULT_LANGUAGE, LOCALES, createTranslator } from './index';
+
+// Bez provideru se použije výchozí jazyk
+export const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  locale: LOCALES[DEFAULT_LANGUAGE],
+  t: createTranslator(DEFAULT_LANGUAGE)
+});
+
+export const I18nProvider = ({ language, children }) => {
+  const value = useMemo(() => ({
+    language,
+    locale: LOCALES[language],
+    t: createTranslator(language)
+  }), [language]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
@@ -0,0 +1,494 @@
+// src/i18n/cs.js
+// Český katalog textů (výchozí jazyk - slouží i jako fallback pro chybějící klíče)
+// Tento soubor neobsahuje žádnou logiku, pouze texty
+// Parametry se zapisují jako {name}
+
+export default {
+  app: {
+    title: '@dnd-kit: Problém s indexy jako ID',
+    subtitle: 'Interaktivní demonstrace proč nepoužívat indexy jako identifikátory'
+  },
+  items: {
+    initial: ['Položka A', 'Položka B', 'Položka C', 'Položka D'],
+    newItem: 'Nová položka {number}',
+    largeItem: 'Řádek {number}',
+    kanban: {
+      todo: ['Návrh', 'API', 'Testy'],
+      doing: ['Přihlášení', 'Export'],
+      done: ['Setup projektu']
+    },
+    tree: [
+      {
+        value: 'Produkty',
+        children: [
+          { value: 'Software', children: [{ value: 'Editor' }, { value: 'Kompilátor' }] },
+          { value: 'Hardware' }
+        ]
+      },
+      { value: 'Služby', children: [{ value: 'Konzultace' }, { value: 'Školení' }] },
+      { value: 'O nás' },
+      { value: 'Kontakt' }
+    ]
+  },
+  tabs: {
+    all: 'Všechny varianty',
+    wrong: '❌ Indexy',
+    value: '⚠️ Hodnota jako ID',
+    render: '🎲 ID v renderu',
+    generated: '✅ Vygeneruj ID',
+    correct: '✅ S originálním ID',
+    server: '🌐 ID ze serveru',
+    kanban: '🗂 Kanban',
+    tree: '🌳 Strom',
+    large: '📈 Velké seznamy'
+  },
+  buttons: {
+    debugOn: '🐛 Debug zapnutý',
+    debugOff: '👁 Debug vypnutý',
+    reset: '🔄 Reset',
+    undo: '↶ Zpět',
+    redo: '↷ Znovu',
+    delete: '✕',
+    deleteLabel: 'Smazat {value}',
+    editLabel: 'Nová hodnota pro {value}',
+    editHint: 'Dvojklik nebo Enter pro úpravu',
+    addItem: '➕ Přidat položku',
+    addDuplicate: '➕ Přidat duplicitu první položky',
+    reseed: '🎲 Nový seznam s tímto generátorem'
+  },
+  language: {
+    label: 'Jazyk',
+    cs: 'Čeština',
+    en: 'English'
+  },
+  theme: {
+    label: 'Barevné téma',
+    system: '🖥 Podle systému ({theme})',
+    light: '☀️ Světlé',
+    dark: '🌙 Tmavé',
+    highContrast: '◐ Vysoký kontrast',
+    names: {
+      light: 'světlé',
+      dark: 'tmavé',
+      highContrast: 'vysoký kontrast'
+    }
+  },
+  layout: {
+    label: 'Rozložení',
+    vertical: '↕ Svislý seznam',
+    horizontal: '↔ Vodorovný seznam',
+    grid: '▦ Mřížka',
+    swap: '⇄ Mřížka s prohazováním'
+  },
+  dragOverlay: {
+    modeLabel: 'Vykreslení tažené položky',
+    animationLabel: 'Animace puštění',
+    modes: {
+      transform: '✋ Posun původní položky',
+      overlay: '🪟 Náhled v DragOverlay'
+    },
+    animations: {
+      default: 'Puštění: výchozí',
+      slow: 'Puštění: pomalé',
+      spring: 'Puštění: pružina',
+      none: 'Puštění: bez animace'
+    },
+    groupCount: '+{count}'
+  },
+  a11y: {
+    title: '♿ Přístupnost',
+    reducedMotion: 'Omezit animace',
+    strongFocus: 'Výrazné zvýraznění fokusu',
+    verboseAnnouncements: 'Hlásit každou změnu pozice během tažení',
+    instructions: 'Položku zvedneš mezerníkem. Během tažení ji posouváš šipkami, mezerníkem ji pustíš a Escape tažení zruší.',
+    dragStart: 'Zvednuta položka "{value}", pozice {position} z {count}.',
+    dragOver: 'Položka "{value}" je na pozici {position} z {count}.',
+    dragOverTarget: 'Položka "{value}" je nad cílem "{target}".',
+    dragOverOutside: 'Položka "{value}" není nad žádným cílem.',
+    dragEnd: 'Položka "{value}" puštěna na pozici {position} z {count}.',
+    dragEndTarget: 'Položka "{value}" puštěna do cíle "{target}".',
+    dragEndOutside: 'Položka "{value}" puštěna mimo seznam, nic se nezměnilo.',
+    dragCancel: 'Tažení zrušeno, položka "{value}" zůstala na původním místě.'
+  },
+  serverSync: {
+    latency: 'Latence serveru: {latency} ms',
+    failureRate: 'Chybovost požadavků: {percent} %',
+    pending: '⏳ Čeká na server: {count}',
+    idle: '✔ Vše uloženo'
+  },
+  collision: {
+    label: 'Detekce kolizí:',
+    over: 'cíl'
+  },
+  messages: {
+    deleteItem: 'Smazána položka "{value}"',
+    moveItem: 'Přesunuto z pozice {from} na pozici {to}',
+    moveItemById: 'Přesunuto položku s ID {id} na pozici {to}',
+    swapItem: 'Prohozena pozice {from} s pozicí {to}',
+    swapItemById: 'Položka s ID {id} prohozena s pozicí {to}',
+    moveGroup: 'Přesunuto položek: {count} (na pozici {to})',
+    deleteGroup: 'Smazáno položek: {count} ({values})',
+    addItem: 'Přidána položka "{value}"',
+    editItem: 'Upravena položka "{value}" na "{newValue}"',
+    importItems: 'Importováno {count} položek (vlastní ID: {kept})',
+    reseedItems: 'Seznam znovu vytvořen s generátorem {generator}',
+    divergenceMove: 'Chyceno "{grabbed}", ale přesunuto "{moved}"',
+    divergenceEdit: 'Editováno "{edited}", ale přepsáno "{changed}"',
+    divergenceOrder: 'Pořadí se liší od záměru na {count} pozicích',
+    duplicateKey: 'Klíč "{id}" má teď {count} položek - dnd-kit i React je nerozliší',
+    duplicateMove: 'Klíč "{id}" má {count} položek - přesunula se první z nich',
+    duplicateDelete: 'Smazání "{id}" odstranilo všechny položky s tímto klíčem ({count})',
+    duplicateEdit: 'Úprava "{id}" přejmenovala všechny položky s tímto klíčem ({count})',
+    serverIdAssigned: 'Server uložil "{value}" - dočasné ID {temporaryId} nahrazeno {id}',
+    rollbackCreate: 'Server odmítl vytvořit "{value}" ({status}) - položka odebrána',
+    rollbackReorder: 'Server odmítl přesun ({status}) - přesunuté položky vráceny zpět',
+    rollbackUpdate: 'Server odmítl úpravu na "{value}" ({status}) - vrácena hodnota "{previousValue}"',
+    rollbackDelete: 'Server odmítl smazat "{value}" ({status}) - položka vrácena',
+    scenarioRewind: 'Scénář: obnoven počáteční stav',
+    scenarioStep: {
+      move: 'Scénář {current}/{total}: přesun "{value}" z pozice {fromIndex} na pozici {toIndex}',
+      moveGroup: 'Scénář {current}/{total}: přesun {count} položek na pozici {toIndex}',
+      swap: 'Scénář {current}/{total}: prohození "{value}" a "{overValue}"',
+      delete: 'Scénář {current}/{total}: smazání "{value}" na pozici {index}',
+      add: 'Scénář {current}/{total}: přidání "{value}"',
+      edit: 'Scénář {current}/{total}: úprava "{value}" na "{newValue}" na pozici {index}'
+    }
+  },
+  storage: {
+    historyDropped: 'Úložiště prohlížeče je plné - historie změn se po obnovení stránky neobnoví',
+    failed: 'Stav se nepodařilo uložit - po obnovení stránky se změny ztratí'
+  },
+  selection: {
+    hint: 'Ctrl/⌘ + klik vybere položku, Shift + klik rozsah',
+    count: 'Vybráno: {count}',
+    deleteSelected: '🗑 Smazat vybrané',
+    clear: 'Zrušit výběr'
+  },
+  transfer: {
+    title: 'Import a export seznamů',
+    importTitle: 'Import',
+    importHint: 'Vlož řádky textu, CSV se sloupcem value (a volitelně id) nebo JSON pole. Data nahradí seznamy všech variant; ID z dat se zachovají, chybějící vytvoří zvolený generátor.',
+    placeholder: 'Položka A\nPoložka B\n…',
+    file: 'Soubor:',
+    format: 'Formát:',
+    generator: 'Generátor chybějících ID:',
+    import: '📥 Importovat',
+    imported: 'Importováno {count} položek, vlastní ID má {kept}',
+    invalid: 'Data se nepodařilo načíst',
+    exportTitle: 'Export',
+    variant: 'Varianta:',
+    export: '💾 Exportovat',
+    formats: {
+      auto: 'Automaticky',
+      text: 'Text (řádky)',
+      csv: 'CSV',
+      json: 'JSON'
+    }
+  },
+  history: {
+    title: '📜 Historie akcí',
+    jumpTo: 'Kliknutím obnovíš stav po této akci',
+    browse: '🔎 Celá historie ({count})',
+    search: 'Hledat ve zprávách, operacích a ID',
+    warningsOnly: 'Jen varování',
+    shown: 'Zobrazeno {shown} z {total}',
+    empty: 'Žádný záznam neodpovídá filtrům.',
+    exportJson: '💾 Export JSON',
+    exportCsv: '💾 Export CSV',
+    indexes: 'indexy',
+    sources: {
+      scenario: '🎬 Scénář',
+      import: '📥 Import'
+    },
+    operations: {
+      move: 'přesun',
+      moveGroup: 'přesun skupiny',
+      swap: 'prohození',
+      delete: 'smazání',
+      deleteGroup: 'hromadné smazání',
+      add: 'přidání',
+      edit: 'úprava',
+      reseed: 'nový seznam',
+      import: 'import',
+      divergence: 'rozdíl od záměru',
+      duplicate: 'duplicitní klíč',
+      sync: 'potvrzení serverem',
+      rollback: 'vrácení změny',
+      scenario: 'scénář'
+    }
+  },
+  scenario: {
+    title: 'Scénář',
+    record: '⏺ Nahrávat',
+    stop: '⏹ Zastavit nahrávání',
+    rewind: '⏮ Na začátek',
+    step: '⏯ Krok',
+    play: '▶ Přehrát',
+    pause: '⏸ Pauza',
+    load: '📥 Načíst skript',
+    placeholder: 'Nahraj scénář nebo sem vlož JSON skript',
+    invalid: 'Neplatný skript',
+    steps: {
+      move: 'přesun "{value}" z pozice {fromIndex} na pozici {toIndex}',
+      moveGroup: 'přesun {count} položek ("{value}" …) na pozici {toIndex}',
+      swap: 'prohození "{value}" (pozice {fromIndex}) a "{overValue}" (pozice {toIndex})',
+      delete: 'smazání "{value}" na pozici {index}',
+      add: 'přidání "{value}"',
+      edit: 'úprava "{value}" na "{newValue}" na pozici {index}'
+    }
+  },
+  benchmark: {
+    title: 'Benchmark a kolize generátorů ID',
+    count: 'Počet ID:',
+    size: 'Délka nanoid:',
+    start: '▶ Spustit',
+    cancel: '⏹ Zrušit',
+    export: '💾 Export JSON',
+    failed: 'Benchmark se nepodařilo dokončit',
+    columns: [
+      'Generátor',
+      'Ukázka',
+      'Délka',
+      'Entropie (bity)',
+      'ID/s',
+      'Kolize',
+      'P(kolize)',
+      '50 % kolize při'
+    ],
+    note: 'P(kolize) je teoretická pravděpodobnost alespoň jedné kolize pro daný počet ID. '
+      + 'U timestamp + random se počítá v rámci jedné milisekundy, counter nekoliduje nikdy.'
+  },
+  variants: {
+    generatorPicker: 'Generátor ID:',
+    tryIt: '🧪 Vyzkoušej:',
+    problem: 'Problém:',
+    solution: 'Řešení:',
+    duplicateKeys: 'Duplicitní klíče ({count}):',
+    wrong: {
+      title: '❌ Špatně: Použití indexů',
+      problems: [
+        'Při smazání položky se změní indexy všech následujících položek',
+        'DnD Kit si pamatuje staré ID (indexy), které už neodpovídají',
+        'Drag & drop pak pracuje s nesprávnými položkami'
+      ],
+      instructions: [
+        'Smaž "Položka B"',
+        'Pokus se přetáhnout "Položka C" - uvidíš, že se chová divně',
+        'Červeně zvýrazněné položky skončily jinde, než byl záměr',
+        'Dvojklikem uprav položku - změna se zapíše na index, ne na položku, kterou edituješ',
+        'Vyber Ctrl + klikem dvě položky a jednu přetáhni - výběr zůstane na původních pozicích'
+      ]
+    },
+    value: {
+      title: '⚠️ Špatně: Hodnota jako ID',
+      problems: [
+        'Funguje, dokud mají všechny položky jiný text',
+        'Dvě položky se stejným textem mají stejné ID - dnd-kit zaregistruje jen jednu a přesouvá první z nich',
+        'React dostane dva prvky se stejným key a při přeuspořádání je může zaměnit nebo zdvojit',
+        'Smazání i úprava podle ID zasáhnou všechny položky se stejným textem',
+        'Úprava textu změní ID - položka se pro dnd-kit i React stane novou položkou'
+      ],
+      instructions: [
+        'Klikni na "Přidat duplicitu první položky" - duplicitní položky se zvýrazní',
+        'Přetáhni druhou "Položka A" - přesune se ta první',
+        'Smaž jednu z duplicit - z dat zmizí obě, React ale může v DOM nechat osiřelý řádek',
+        'Dvojklikem přejmenuj položku na text jiné položky - vznikne další duplicita',
+        'V konzoli prohlížeče uvidíš varování Reactu o duplicitním key'
+      ]
+    },
+    render: {
+      title: '❌ Špatně: ID generované při renderu',
+      problems: [
+        'generateNanoId() se volá přímo v renderu, takže každé překreslení vytvoří nová ID',
+        'Seznam se během tažení překresluje při každém pohybu - tažená položka dostane nové ID a dnd-kit ji ztratí',
+        'Nová ID jsou zároveň nové React klíče - všechny položky se při každém renderu znovu připojí',
+        'Puštění hledá ID z dřívějšího renderu, které už neexistuje - přesun se zruší'
+      ],
+      instructions: [
+        'Zapni debug a sleduj ID položek - mění se při každém renderu',
+        'Zkus přetáhnout libovolnou položku - tažení se přeruší nebo položka odskočí zpět',
+        'Dvojklikem začni upravovat položku a pak táhni jinou - editor zmizí, protože se položka připojila znovu',
+        'Mazání funguje, protože handlery pracují s pozicí z aktuálního renderu'
+      ]
+    },
+    generated: {
+      title: '✅ Řešení: Vygeneruj ID když je nemáš',
+      code: `// Při prvním načtení dat
+const dataWithIds = rawData.map(value => ({
+  id: generateNanoId(), // nebo UUID, timestamp+random
+  value: value
+}));
+
+// Při přidání nové položky
+const newItem = {
+  id: generateNanoId(),
+  value: 'Nová položka'
+};`,
+      solutions: [
+        'Vygeneruj trvalé ID při prvním vytvoření položky',
+        'ID zůstává s položkou bez ohledu na pozici',
+        'Nové položky dostávají nové unikátní ID',
+        'Možnosti: nanoid, UUID, timestamp+random, counter'
+      ],
+      instructions: [
+        'Smaž libovolnou položku',
+        'Přetahování funguje správně!',
+        'Klikni "Přidat položku" - nová má své vlastní ID',
+        'Přepni generátor ID a porovnej formáty přímo v seznamu',
+        'Dvojklikem (nebo Enter) uprav hodnotu položky'
+      ]
+    },
+    correct: {
+      title: '✅ Správně: Unikátní ID',
+      solutions: [
+        'Každá položka má trvalé unikátní ID',
+        'ID se nemění při mazání nebo přeřazení',
+        'DnD Kit vždy pracuje se správnou položkou'
+      ],
+      instructions: [
+        'Smaž libovolnou položku',
+        'Přetahování funguje správně!',
+        'Dvojklikem (nebo Enter) uprav hodnotu - úprava vždy patří správné položce'
+      ]
+    },
+    server: {
+      title: '✅ Řešení: Dočasné ID a výměna za ID ze serveru',
+      code: `// Optimisticky: položka je v seznamu hned, s dočasným ID
+const tempId = 'tmp-' + generateNanoId();
+setItems(items => [...items, { id: tempId, clientId: tempId, value }]);
+
+// Server přidělí trvalé ID - vyměň ho, clientId zůstává React klíčem
+const { id } = await api.post('/items', { value });
+setItems(items => items.map(item =>
+  item.id === tempId ? { ...item, id } : item
+));
+
+// Chyba serveru = vrácení optimistické změny
+// .catch(() => setItems(items => items.filter(item => item.id !== tempId)))`,
+      solutions: [
+        'Změna se v UI projeví hned, server ji potvrdí se zpožděním',
+        'Nová položka má do odpovědi dočasné ID, pak ho nahradí ID z databáze',
+        'React klíč (clientId) se při výměně ID nemění - položka se znovu nepřipojí a neztratí fokus ani editaci',
+        'Další operace s novou položkou počkají na ID ze serveru',
+        'Když server požadavek odmítne, změna se vrátí a do historie se zapíše varování'
+      ],
+      instructions: [
+        'Klikni "Přidat položku" - položka je šedá, dokud server neodpoví',
+        'Zapni debug a sleduj, jak se tmp-… ID vymění za db-…',
+        'Nastav vyšší latenci a během čekání novou položku přetáhni nebo uprav',
+        'Zvyš chybovost - odmítnuté změny se vrátí a historie je označí jako varování'
+      ]
+    }
+  },
+  kanban: {
+    columns: {
+      todo: 'K udělání',
+      doing: 'Rozpracováno',
+      done: 'Hotovo'
+    },
+    wrong: {
+      title: '❌ Kanban s indexy',
+      notes: [
+        'Každý sloupec má vlastní indexy 0, 1, 2… - stejné ID je ve více sloupcích najednou',
+        'DnD Kit nerozliší, ze kterého sloupce položka je, a přesune jinou',
+        'Při přesunu mezi sloupci se indexy posunou v obou sloupcích'
+      ],
+      instructions: [
+        'Přetáhni "API" do sloupce "Rozpracováno"',
+        'Pokus se pak přetáhnout "Export" - chytí se jiná položka',
+        'Zkus přesunout položku do prázdného sloupce a zpět'
+      ]
+    },
+    correct: {
+      title: '✅ Kanban s unikátními ID',
+      notes: [
+        'ID je unikátní napříč všemi sloupci',
+        'onDragOver najde sloupec podle ID položky a přesune ji do cílového',
+        'Položka si ID ponechá v libovolném sloupci'
+      ],
+      instructions: [
+        'Přesouvej položky mezi sloupci i uvnitř sloupce',
+        'Smaž položku a pokračuj - vše funguje správně'
+      ]
+    }
+  },
+  tree: {
+    collapse: 'Sbalit {value}',
+    expand: 'Rozbalit {value}',
+    descendants: '+{count}',
+    wrong: {
+      title: '❌ Strom s cestou indexů',
+      notes: [
+        'ID uzlu je cesta indexů "0.1.2" - změní se při přesunu uzlu i kteréhokoliv předka',
+        'Sbalení je uložené podle ID, takže zůstane na pozici místo na uzlu',
+        'Po přesunu podstromu dostanou nové ID i všichni jeho potomci'
+      ],
+      instructions: [
+        'Sbal uzel "Produkty"',
+        'Přetáhni "O nás" nad "Produkty" - sbalený je najednou jiný uzel',
+        'Zapni debug a sleduj, jak se mění ID a parentId celého podstromu'
+      ]
+    },
+    correct: {
+      title: '✅ Strom se stabilními ID',
+      notes: [
+        'Každý uzel má vlastní ID a parentId odkazuje na ID rodiče',
+        'Sbalení i React key zůstanou u uzlu, ať se přesune kamkoliv',
+        'Podstrom se přesouvá jako celek - potomci si ponechají ID i parentId'
+      ],
+      instructions: [
+        'Táhni uzel doprava pro zanoření, doleva pro vynoření',
+        'Sbal uzel a přesuň ho i s celým podstromem',
+        'Smaž uzel - zmizí s ním celý podstrom'
+      ]
+    }
+  },
+  large: {
+    title: '📈 Velké seznamy',
+    hint: 'Seznamy se vykreslují přes windowing - DnD Kit zná všechna ID, ale v DOM jsou jen viditelné řádky a tažená položka.',
+    count: 'Počet položek:',
+    generator: 'Generátor ID:',
+    seed: '🌱 Vytvořit seznamy',
+    empty: 'Zvol počet položek a vytvoř seznamy.',
+    wrong: '❌ Indexy',
+    correct: '✅ ID'
+  },
+  performance: {
+    fps: 'FPS',
+    latency: 'Latence tažení',
+    listRenders: 'Rendery seznamu',
+    rowRenders: 'Rendery řádků'
+  },
+  explanation: {
+    title: '📚 Vysvětlení problému',
+    why: {
+      title: 'Proč se to děje?',
+      text: 'Když použiješ index jako ID, vytváříš nestabilní identifikátor. '
+        + 'Po smazání položky se indexy všech následujících položek posunou o jedna dolů. '
+        + 'DnD Kit si ale pamatuje původní ID (indexy) a při další manipulaci pracuje s nesprávnými položkami.'
+    },
+    how: {
+      title: 'Jak to funguje správně?',
+      text: 'Unikátní ID zůstává s položkou napořád, bez ohledu na její pozici v seznamu. '
+        + 'To zajišťuje, že DnD Kit vždy ví, s kterou položkou pracuje.'
+    },
+    generate: {
+      title: 'Jak vygenerovat ID když je nemáš?',
+      items: [
+        ['nanoid:', 'Krátké, URL-safe, rychlé (doporučeno)'],
+        ['crypto.randomUUID():', 'Standardní UUID v moderních prohlížečích'],
+        ['timestamp + random:', '${Date.now()}-${Math.random()}'],
+        ['Simple counter:', 'Pro jednoduchou aplikaci']
+      ]
+    },
+    bestPractices: {
+      title: 'Best practices:',
+      items: [
+        'Použij ID z databáze (pokud data přicházejí z backendu)',
+        'Vygeneruj ID při prvním vytvoření položky, ne při každém renderu',
+        'Nikdy nepoužívej index, Math.random() nebo jiné nestabilní hodnoty',
+        'Zachovej ID i při ukládání do localStorage/sessionStorage'
+      ]
+    }
+  }
+};
@@ -0,0 +1,494 @@
+// src/i18n/en.js
+// Anglický katalog textů
+// Tento soubor neobsahuje žádnou logiku, pouze texty
+// Chybějící klíče se doplní z českého katalogu
+
+export default {
+  app: {
+    title: '@dnd-kit: The index-as-ID problem',
+    subtitle: 'An interactive demo of why you should not use indexes as identifiers'
+  },
+  items: {
+    initial: ['Item A', 'Item B', 'Item C', 'Item D'],
+    newItem: 'New item {number}',
+    largeItem: 'Row {number}',
+    kanban: {
+      todo: ['Design', 'API', 'Tests'],
+      doing: ['Login', 'Export'],
+      done: ['Project setup']
+    },
+    tree: [
+      {
+        value: 'Products',
+        children: [
+          { value: 'Software', children: [{ value: 'Editor' }, { value: 'Compiler' }] },
+          { value: 'Hardware' }
+        ]
+      },
+      { value: 'Services', children: [{ value: 'Consulting' }, { value: 'Training' }] },
+      { value: 'About us' },
+      { value: 'Contact' }
+    ]
+  },
+  tabs: {
+    all: 'All variants',
+    wrong: '❌ Indexes',
+    value: '⚠️ Value as ID',
+    render: '🎲 ID in render',
+    generated: '✅ Generate IDs',
+    correct: '✅ With original IDs',
+    server: '🌐 Server IDs',
+    kanban: '🗂 Kanban',
+    tree: '🌳 Tree',
+    large: '📈 Large lists'
+  },
+  buttons: {
+    debugOn: '🐛 Debug on',
+    debugOff: '👁 Debug off',
+    reset: '🔄 Reset',
+    undo: '↶ Undo',
+    redo: '↷ Redo',
+    delete: '✕',
+    deleteLabel: 'Delete {value}',
+    editLabel: 'New value for {value}',
+    editHint: 'Double-click or press Enter to edit',
+    addItem: '➕ Add item',
+    addDuplicate: '➕ Add a duplicate of the first item',
+    reseed: '🎲 New list with this generator'
+  },
+  language: {
+    label: 'Language',
+    cs: 'Čeština',
+    en: 'English'
+  },
+  theme: {
+    label: 'Color theme',
+    system: '🖥 System ({theme})',
+    light: '☀️ Light',
+    dark: '🌙 Dark',
+    highContrast: '◐ High contrast',
+    names: {
+      light: 'light',
+      dark: 'dark',
+      highContrast: 'high contrast'
+    }
+  },
+  layout: {
+    label: 'Layout',
+    vertical: '↕ Vertical list',
+    horizontal: '↔ Horizontal list',
+    grid: '▦ Grid',
+    swap: '⇄ Swapping grid'
+  },
+  dragOverlay: {
+    modeLabel: 'Dragged item rendering',
+    animationLabel: 'Drop animation',
+    modes: {
+      transform: '✋ Move original item',
+      overlay: '🪟 DragOverlay preview'
+    },
+    animations: {
+      default: 'Drop: default',
+      slow: 'Drop: slow',
+      spring: 'Drop: spring',
+      none: 'Drop: no animation'
+    },
+    groupCount: '+{count}'
+  },
+  a11y: {
+    title: '♿ Accessibility',
+    reducedMotion: 'Reduce motion',
+    strongFocus: 'Strong focus highlight',
+    verboseAnnouncements: 'Announce every position change while dragging',
+    instructions: 'Press space to pick up an item. While dragging, use the arrow keys to move it, press space to drop it or Escape to cancel.',
+    dragStart: 'Picked up "{value}", position {position} of {count}.',
+    dragOver: '"{value}" is at position {position} of {count}.',
+    dragOverTarget: '"{value}" is over "{target}".',
+    dragOverOutside: '"{value}" is not over any target.',
+    dragEnd: '"{value}" dropped at position {position} of {count}.',
+    dragEndTarget: '"{value}" dropped into "{target}".',
+    dragEndOutside: '"{value}" dropped outside the list, nothing changed.',
+    dragCancel: 'Dragging cancelled, "{value}" returned to its original place.'
+  },
+  serverSync: {
+    latency: 'Server latency: {latency} ms',
+    failureRate: 'Request failure rate: {percent} %',
+    pending: '⏳ Waiting for server: {count}',
+    idle: '✔ All saved'
+  },
+  collision: {
+    label: 'Collision detection:',
+    over: 'over'
+  },
+  messages: {
+    deleteItem: 'Deleted item "{value}"',
+    moveItem: 'Moved from position {from} to position {to}',
+    moveItemById: 'Moved item with ID {id} to position {to}',
+    swapItem: 'Swapped position {from} with position {to}',
+    swapItemById: 'Item with ID {id} swapped with position {to}',
+    moveGroup: 'Moved items: {count} (to position {to})',
+    deleteGroup: 'Deleted items: {count} ({values})',
+    addItem: 'Added item "{value}"',
+    editItem: 'Renamed item "{value}" to "{newValue}"',
+    importItems: 'Imported {count} items ({kept} with their own ID)',
+    reseedItems: 'List recreated with generator {generator}',
+    divergenceMove: 'Grabbed "{grabbed}", but "{moved}" moved',
+    divergenceEdit: 'Edited "{edited}", but overwrote "{changed}"',
+    divergenceOrder: 'Order differs from the intent at {count} positions',
+    duplicateKey: 'Key "{id}" now has {count} items - neither dnd-kit nor React can tell them apart',
+    duplicateMove: 'Key "{id}" has {count} items - the first of them moved',
+    duplicateDelete: 'Deleting "{id}" removed every item with this key ({count})',
+    duplicateEdit: 'Editing "{id}" renamed every item with this key ({count})',
+    serverIdAssigned: 'Server saved "{value}" - temporary ID {temporaryId} replaced with {id}',
+    rollbackCreate: 'Server refused to create "{value}" ({status}) - item removed',
+    rollbackReorder: 'Server refused the move ({status}) - moved items put back',
+    rollbackUpdate: 'Server refused the edit to "{value}" ({status}) - restored "{previousValue}"',
+    rollbackDelete: 'Server refused to delete "{value}" ({status}) - item restored',
+    scenarioRewind: 'Scenario: initial state restored',
+    scenarioStep: {
+      move: 'Scenario {current}/{total}: move "{value}" from position {fromIndex} to position {toIndex}',
+      moveGroup: 'Scenario {current}/{total}: move {count} items to position {toIndex}',
+      swap: 'Scenario {current}/{total}: swap "{value}" and "{overValue}"',
+      delete: 'Scenario {current}/{total}: delete "{value}" at position {index}',
+      add: 'Scenario {current}/{total}: add "{value}"',
+      edit: 'Scenario {current}/{total}: rename "{value}" to "{newValue}" at position {index}'
+    }
+  },
+  storage: {
+    historyDropped: 'Browser storage is full - the change history will not be restored after a reload',
+    failed: 'The state could not be saved - changes will be lost after a reload'
+  },
+  selection: {
+    hint: 'Ctrl/⌘ + click selects an item, Shift + click a range',
+    count: 'Selected: {count}',
+    deleteSelected: '🗑 Delete selected',
+    clear: 'Clear selection'
+  },
+  transfer: {
+    title: 'List import and export',
+    importTitle: 'Import',
+    importHint: 'Paste lines of text, CSV with a value column (and optionally id) or a JSON array. The data replaces the lists of all variants; IDs from the data are kept, missing ones come from the selected generator.',
+    placeholder: 'Item A\nItem B\n…',
+    file: 'File:',
+    format: 'Format:',
+    generator: 'Generator for missing IDs:',
+    import: '📥 Import',
+    imported: 'Imported {count} items, {kept} with their own ID',
+    invalid: 'The data could not be read',
+    exportTitle: 'Export',
+    variant: 'Variant:',
+    export: '💾 Export',
+    formats: {
+      auto: 'Automatic',
+      text: 'Text (lines)',
+      csv: 'CSV',
+      json: 'JSON'
+    }
+  },
+  history: {
+    title: '📜 Action history',
+    jumpTo: 'Click to restore the state after this action',
+    browse: '🔎 Full history ({count})',
+    search: 'Search messages, operations and IDs',
+    warningsOnly: 'Warnings only',
+    shown: 'Showing {shown} of {total}',
+    empty: 'No entry matches the filters.',
+    exportJson: '💾 Export JSON',
+    exportCsv: '💾 Export CSV',
+    indexes: 'indexes',
+    sources: {
+      scenario: '🎬 Scenario',
+      import: '📥 Import'
+    },
+    operations: {
+      move: 'move',
+      moveGroup: 'group move',
+      swap: 'swap',
+      delete: 'delete',
+      deleteGroup: 'bulk delete',
+      add: 'add',
+      edit: 'edit',
+      reseed: 'new list',
+      import: 'import',
+      divergence: 'differs from intent',
+      duplicate: 'duplicate key',
+      sync: 'server confirmation',
+      rollback: 'rollback',
+      scenario: 'scenario'
+    }
+  },
+  scenario: {
+    title: 'Scenario',
+    record: '⏺ Record',
+    stop: '⏹ Stop recording',
+    rewind: '⏮ Rewind',
+    step: '⏯ Step',
+    play: '▶ Play',
+    pause: '⏸ Pause',
+    load: '📥 Load script',
+    placeholder: 'Record a scenario or paste a JSON script here',
+    invalid: 'Invalid script',
+    steps: {
+      move: 'move "{value}" from position {fromIndex} to position {toIndex}',
+      moveGroup: 'move {count} items ("{value}" …) to position {toIndex}',
+      swap: 'swap "{value}" (position {fromIndex}) and "{overValue}" (position {toIndex})',
+      delete: 'delete "{value}" at position {index}',
+      add: 'add "{value}"',
+      edit: 'rename "{value}" to "{newValue}" at position {index}'
+    }
+  },
+  benchmark: {
+    title: 'ID generator benchmark and collisions',
+    count: 'ID count:',
+    size: 'nanoid size:',
+    start: '▶ Run',
+    cancel: '⏹ Cancel',
+    export: '💾 Export JSON',
+    failed: 'The benchmark could not finish',
+    columns: [
+      'Generator',
+      'Sample',
+      'Length',
+      'Entropy (bits)',
+      'IDs/s',
+      'Collisions',
+      'P(collision)',
+      '50 % collision at'
+    ],
+    note: 'P(collision) is the theoretical probability of at least one collision for the given ID count. '
+      + 'For timestamp + random it is computed within a single millisecond; counter never collides.'
+  },
+  variants: {
+    generatorPicker: 'ID generator:',
+    tryIt: '🧪 Try it:',
+    problem: 'Problem:',
+    solution: 'Solution:',
+    duplicateKeys: 'Duplicate keys ({count}):',
+    wrong: {
+      title: '❌ Wrong: Using indexes',
+      problems: [
+        'Deleting an item changes the indexes of all following items',
+        'DnD Kit remembers the old IDs (indexes), which no longer match',
+        'Drag & drop then works with the wrong items'
+      ],
+      instructions: [
+        'Delete "Item B"',
+        'Try to drag "Item C" - you will see it behaves strangely',
+        'Items highlighted in red ended up somewhere other than intended',
+        'Double-click to edit an item - the change is written to the index, not to the item you are editing',
+        'Ctrl + click two items and drag one of them - the selection stays at the old positions'
+      ]
+    },
+    value: {
+      title: '⚠️ Wrong: Value as ID',
+      problems: [
+        'It works as long as every item has a different label',
+        'Two items with the same label share one ID - dnd-kit registers only one of them and moves the first',
+        'React gets two elements with the same key and may mix them up or duplicate them on reorder',
+        'Deleting and editing by ID hit every item with the same label',
+        'Editing the label changes the ID - dnd-kit and React treat the item as a new one'
+      ],
+      instructions: [
+        'Click "Add a duplicate of the first item" - duplicate items are highlighted',
+        'Drag the second "Item A" - the first one moves instead',
+        'Delete one of the duplicates - both leave the data, yet React may keep an orphaned row in the DOM',
+        'Double-click to rename an item to the label of another one - another duplicate appears',
+        'The browser console shows the React warning about a duplicate key'
+      ]
+    },
+    render: {
+      title: '❌ Wrong: ID generated during render',
+      problems: [
+        'generateNanoId() is called right in render, so every re-render creates new IDs',
+        'The list re-renders on every pointer move while dragging - the dragged item gets a new ID and dnd-kit loses it',
+        'New IDs are also new React keys - every item remounts on every render',
+        'The drop looks up an ID from an earlier render that no longer exists - the move is cancelled'
+      ],
+      instructions: [
+        'Turn on debug and watch the item IDs - they change on every render',
+        'Try to drag any item - the drag breaks off or the item jumps back',
+        'Double-click to start editing an item, then drag another one - the editor disappears because the item remounted',
+        'Deleting works, because the handlers use the position from the current render'
+      ]
+    },
+    generated: {
+      title: '✅ Solution: Generate IDs when you have none',
+      code: `// When the data is first loaded
+const dataWithIds = rawData.map(value => ({
+  id: generateNanoId(), // or UUID, timestamp+random
+  value: value
+}));
+
+// When adding a new item
+const newItem = {
+  id: generateNanoId(),
+  value: 'New item'
+};`,
+      solutions: [
+        'Generate a permanent ID when the item is first created',
+        'The ID stays with the item regardless of its position',
+        'New items get a new unique ID',
+        'Options: nanoid, UUID, timestamp+random, counter'
+      ],
+      instructions: [
+        'Delete any item',
+        'Dragging works correctly!',
+        'Click "Add item" - the new one has its own ID',
+        'Switch the ID generator and compare the formats right in the list',
+        'Double-click (or press Enter) to edit an item value'
+      ]
+    },
+    correct: {
+      title: '✅ Correct: Unique IDs',
+      solutions: [
+        'Every item has a permanent unique ID',
+        'The ID does not change on delete or reorder',
+        'DnD Kit always works with the right item'
+      ],
+      instructions: [
+        'Delete any item',
+        'Dragging works correctly!',
+        'Double-click (or press Enter) to edit a value - the edit always belongs to the right item'
+      ]
+    },
+    server: {
+      title: '✅ Solution: Temporary ID swapped for the server ID',
+      code: `// Optimistically: the item is in the list right away, with a temporary ID
+const tempId = 'tmp-' + generateNanoId();
+setItems(items => [...items, { id: tempId, clientId: tempId, value }]);
+
+// The server assigns the permanent ID - swap it in, clientId stays the React key
+const { id } = await api.post('/items', { value });
+setItems(items => items.map(item =>
+  item.id === tempId ? { ...item, id } : item
+));
+
+// A server error = roll back the optimistic change
+// .catch(() => setItems(items => items.filter(item => item.id !== tempId)))`,
+      solutions: [
+        'The change shows in the UI immediately, the server confirms it later',
+        'A new item has a temporary ID until the response, then the database ID replaces it',
+        'The React key (clientId) does not change with the ID - the item is not remounted and keeps focus and editing',
+        'Further operations on the new item wait for the server ID',
+        'When the server refuses a request, the change is rolled back and history records a warning'
+      ],
+      instructions: [
+        'Click "Add item" - the item is greyed out until the server responds',
+        'Turn on debug and watch the tmp-… ID change to db-…',
+        'Raise the latency and drag or edit the new item while it waits',
+        'Raise the failure rate - refused changes are rolled back and history marks them as warnings'
+      ]
+    }
+  },
+  kanban: {
+    columns: {
+      todo: 'To do',
+      doing: 'In progress',
+      done: 'Done'
+    },
+    wrong: {
+      title: '❌ Kanban with indexes',
+      notes: [
+        'Every column has its own indexes 0, 1, 2… - the same ID exists in several columns at once',
+        'DnD Kit cannot tell which column an item belongs to and moves a different one',
+        'Moving between columns shifts the indexes in both columns'
+      ],
+      instructions: [
+        'Drag "API" into the "In progress" column',
+        'Then try to drag "Export" - a different item gets picked up',
+        'Try moving an item into an empty column and back'
+      ]
+    },
+    correct: {
+      title: '✅ Kanban with unique IDs',
+      notes: [
+        'IDs are unique across all columns',
+        'onDragOver finds the column by the item ID and moves it to the target one',
+        'An item keeps its ID in any column'
+      ],
+      instructions: [
+        'Move items between columns and within a column',
+        'Delete an item and keep going - everything works'
+      ]
+    }
+  },
+  tree: {
+    collapse: 'Collapse {value}',
+    expand: 'Expand {value}',
+    descendants: '+{count}',
+    wrong: {
+      title: '❌ Tree with index paths',
+      notes: [
+        'The node ID is an index path "0.1.2" - it changes when the node or any of its ancestors moves',
+        'The collapsed state is stored by ID, so it stays at the position instead of with the node',
+        'After a subtree moves, all of its descendants get new IDs too'
+      ],
+      instructions: [
+        'Collapse the "Products" node',
+        'Drag "About us" above "Products" - suddenly a different node is collapsed',
+        'Turn on debug and watch the IDs and parentIds of the whole subtree change'
+      ]
+    },
+    correct: {
+      title: '✅ Tree with stable IDs',
+      notes: [
+        'Every node has its own ID and parentId points to the parent ID',
+        'The collapsed state and React key stay with the node wherever it moves',
+        'A subtree moves as one unit - descendants keep their IDs and parentIds'
+      ],
+      instructions: [
+        'Drag a node to the right to indent it, to the left to outdent it',
+        'Collapse a node and move it together with its whole subtree',
+        'Delete a node - its whole subtree disappears with it'
+      ]
+    }
+  },
+  large: {
+    title: '📈 Large lists',
+    hint: 'The lists are windowed - DnD Kit knows every ID, but only the visible rows and the dragged item are in the DOM.',
+    count: 'Item count:',
+    generator: 'ID generator:',
+    seed: '🌱 Create lists',
+    empty: 'Pick an item count and create the lists.',
+    wrong: '❌ Indexes',
+    correct: '✅ IDs'
+  },
+  performance: {
+    fps: 'FPS',
+    latency: 'Drag latency',
+    listRenders: 'List renders',
+    rowRenders: 'Row renders'
+  },
+  explanation: {
+    title: '📚 Explaining the problem',
+    why: {
+      title: 'Why does it happen?',
+      text: 'When you use an index as the ID, you create an unstable identifier. '
+        + 'After an item is deleted, the indexes of all following items shift down by one. '
+        + 'DnD Kit, however, remembers the original IDs (indexes) and works with the wrong items on the next interaction.'
+    },
+    how: {
+      title: 'How does it work correctly?',
+      text: 'A unique ID stays with the item forever, regardless of its position in the list. '
+        + 'That guarantees DnD Kit always knows which item it is working with.'
+    },
+    generate: {
+      title: 'How to generate IDs when you have none?',
+      items: [
+        ['nanoid:', 'Short, URL-safe, fast (recommended)'],
+        ['crypto.randomUUID():', 'Standard UUID in modern browsers'],
+        ['timestamp + random:', '${Date.now()}-${Math.random()}'],
+        ['Simple counter:', 'For a simple app']
+      ]
+    },
+    bestPractices: {
+      title: 'Best practices:',
+      items: [
+        'Use the ID from the database (if the data comes from a backend)',
+        'Generate the ID when the item is first created, not on every render',
+        'Never use the index, Math.random() or other unstable values',
+        'Keep the ID when saving to localStorage/sessionStorage'
+      ]
+    }
+  }
+};
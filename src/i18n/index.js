@@ -0,0 +1,98 @@
+// src/i18n/index.js
+// Jednoduchá lokalizační vrstva - katalogy, překlad klíčů a fallback
+// Tento soubor neobsahuje žádný React state, pouze pure funkce
+
+import cs from './cs';
+import en from './en';
+
+export const LANGUAGES = {
+  CS: 'cs',
+  EN: 'en'
+};
+
+export const DEFAULT_LANGUAGE = LANGUAGES.CS;
+
+// Locale pro formátování času a čísel
+export const LOCALES = {
+  [LANGUAGES.CS]: 'cs-CZ',
+  [LANGUAGES.EN]: 'en-US'
+};
+
+const CATALOGS = {
+  [LANGUAGES.CS]: cs,
+  [LANGUAGES.EN]: en
+};
+
+const resolveKey = (catalog, key) => {
+  return key.split('.').reduce((node, part) => node?.[part], catalog);
+};
+
+const interpolate = (template, params) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined ? String(params[name]) : match
+  ));
+};
+
+/**
+ * Přeloží klíč do zadaného jazyka
+ * Chybějící klíč se hledá ve výchozím jazyce, jinak se vrátí samotný klíč.
+ * @param {string} language - Kód jazyka z LANGUAGES
+ * @param {string} key - Klíč ve formátu 'sekce.klic'
+ * @param {Object} params - Hodnoty pro {placeholdery}
+ * @returns {string|Array} Přeložený text (nebo pole textů pro seznamy)
+ */
+export const translate = (language, key, params = {}) => {
+  const value = resolveKey(CATALOGS[language], key)
+    ?? resolveKey(CATALOGS[DEFAULT_LANGUAGE], key);
+
+  if (value === undefined) {
+    if (import.meta.env?.DEV) {
+      console.warn(`[i18n] Chybí překlad pro klíč "${key}"`);
+    }
+    return key;
+  }
+
+  return typeof value === 'string' ? interpolate(value, params) : value;
+};
+
+/**
+ * Vytvoří překladovou funkci pro daný jazyk
+ * @param {string} language - Kód jazyka
+ * @returns {Function} t(key, params)
+ */
+export const createTranslator = (language) => {
+  return (key, params) => translate(language, key, params);
+};
+
+/**
+ * Přeloží zprávu uloženou jako { key, params } (starší záznamy mohou být prostý text)
+ * @param {Function} t - Překladová funkce
+ * @param {string|Object} message - Zpráva
+ * @returns {string} Přeložený text
+ */
+export const translateMessage = (t, message) => {
+  if (!message || typeof message === 'string') {
+    return message;
+  }
+
+  return t(message.key, message.params);
+};
+
+/**
+ * Zjistí preferovaný jazyk z prohlížeče
+ * @returns {string} Kód jazyka z LANGUAGES
+ */
+export const detectLanguage = () => {
+  const preferred = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+  const code = preferred.slice(0, 2).toLowerCase();
+
+  return Object.values(LANGUAGES).includes(code) ? code : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Vytvoří zprávu pro historii - ukládá se klíč, text se přeloží až při zobrazení
+ * @param {string} key - Klíč zprávy
+ * @param {Object} params - Parametry zprávy
+ * @returns {Object} { key, params }
+ */
+export const createMessage = (key, params = {}) => ({ key, params });
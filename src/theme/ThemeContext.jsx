@@ -0,0 +1,60 @@
+// src/theme/ThemeContext.jsx
+// React kontext pro aktuální barevné téma
+// Tato komponenta neobsahuje business logiku, pouze zapisuje paletu do CSS proměnných
+//
+// Proměnné se nastavují na <html>, aby je převzalo i pozadí body mimo .app.
+
+import React, { createContext, useEffect, useMemo, useState } from 'react';
+import { THEME_TYPES, THEME_PALETTES } from '../constants';
+import { DEFAULT_THEME, createThemeVariables, detectSystemTheme, resolveTheme } from './index';
+
+const SYSTEM_THEME_QUERIES = ['(prefers-color-scheme: light)', '(prefers-contrast: more)'];
+
+// Bez provideru se použije výchozí téma
+export const ThemeContext = createContext({
+  preference: THEME_TYPES.SYSTEM,
+  theme: DEFAULT_THEME,
+  palette: THEME_PALETTES[DEFAULT_THEME]
+});
+
+export const ThemeProvider = ({ preference, children }) => {
+  const [systemTheme, setSystemTheme] = useState(detectSystemTheme);
+
+  // Změna nastavení systému se projeví hned, pokud uživatel zvolil SYSTEM
+  useEffect(() => {
+    const mediaQueries = SYSTEM_THEME_QUERIES
+      .map(query => window.matchMedia?.(query))
+      .filter(Boolean);
+    const handleChange = () => setSystemTheme(detectSystemTheme());
+
+    mediaQueries.forEach(mediaQuery => mediaQuery.addEventListener?.('change', handleChange));
+    return () => {
+      mediaQueries.forEach(mediaQuery => mediaQuery.removeEventListener?.('change', handleChange));
+    };
+  }, []);
+
+  const theme = resolveTheme(preference, systemTheme);
+
+  useEffect(() => {
+    const root = document.documentElement;
+
+    Object.entries(createThemeVariables(THEME_PALETTES[theme])).forEach(([name, value]) => {
+      root.style.setProperty(name, value);
+    });
+    root.dataset.theme = theme;
+    // Nativní prvky (scrollbary, formuláře) ve stejném režimu jako téma
+    root.style.colorScheme = theme === THEME_TYPES.LIGHT ? 'light' : 'dark';
+  }, [theme]);
+
+  const value = useMemo(() => ({
+    preference,
+    theme,
+    palette: THEME_PALETTES[theme]
+  }), [preference, theme]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+};
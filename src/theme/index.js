@@ -0,0 +1,61 @@
+// src/theme/index.js
+// Barevná témata - převod palety z constants na CSS custom properties
+// Tento soubor neobsahuje žádný React state, pouze pure funkce
+
+import { THEME_TYPES, THEME_PALETTES } from '../constants';
+
+export const DEFAULT_THEME = THEME_TYPES.DARK;
+
+/**
+ * @param {string} key - Klíč palety, např. 'PRIMARY_BG'
+ * @returns {string} Název CSS proměnné, např. '--color-primary-bg'
+ */
+export const toCssVariable = (key) => {
+  return `--color-${key.toLowerCase().replace(/_/g, '-')}`;
+};
+
+/**
+ * @param {string} key - Klíč palety, např. 'TEAL'
+ * @returns {string} Odkaz na CSS proměnnou, např. 'var(--color-teal)'
+ */
+export const getColorVariable = (key) => {
+  return `var(${toCssVariable(key)})`;
+};
+
+/**
+ * Převede paletu na CSS proměnné
+ * @param {Object} palette - Paleta ve tvaru COLORS
+ * @returns {Object} { '--color-primary-bg': '#1A1A1A', ... }
+ */
+export const createThemeVariables = (palette) => {
+  return Object.fromEntries(
+    Object.entries(palette).map(([key, value]) => [toCssVariable(key), value])
+  );
+};
+
+/**
+ * Zjistí téma z nastavení systému - požadavek na vyšší kontrast má přednost
+ * @returns {string} Téma z THEME_TYPES (bez SYSTEM)
+ */
+export const detectSystemTheme = () => {
+  const matches = (query) => window.matchMedia?.(query).matches ?? false;
+
+  if (matches('(prefers-contrast: more)')) {
+    return THEME_TYPES.HIGH_CONTRAST;
+  }
+
+  return matches('(prefers-color-scheme: light)') ? THEME_TYPES.LIGHT : DEFAULT_THEME;
+};
+
+/**
+ * @param {string} preference - Volba uživatele z THEME_TYPES
+ * @param {string} systemTheme - Téma podle systému
+ * @returns {string} Téma, které se použije (má paletu v THEME_PALETTES)
+ */
+export const resolveTheme = (preference, systemTheme) => {
+  if (preference === THEME_TYPES.SYSTEM || !THEME_PALETTES[preference]) {
+    return systemTheme;
+  }
+
+  return preference;
+};
@@ -0,0 +1,50 @@
+// src/utils/collisionDetection.js
+// Mapování typu detekce kolizí na algoritmus z @dnd-kit/core
+// Tento soubor neobsahuje žádný state, pouze konfiguraci algoritmů
+
+import {
+  closestCenter,
+  closestCorners,
+  rectIntersection,
+  pointerWithin
+} from '@dnd-kit/core';
+import { COLLISION_DETECTION_TYPES } from '../constants';
+
+/**
+ * Vlastní složený detektor: nejdřív položka přímo pod kurzorem, pak největší překryv,
+ * nakonec nejbližší střed. pointerWithin nefunguje s klávesnicí (nemá souřadnice
+ * kurzoru), proto je poslední krok vždy closestCenter.
+ * @param {Object} args - Argumenty CollisionDetection z DndContext
+ * @returns {Array<Object>} Kolize seřazené od nejlepší
+ */
+export const compositeCollisionDetection = (args) => {
+  const pointerCollisions = pointerWithin(args);
+
+  if (pointerCollisions.length > 0) {
+    return pointerCollisions;
+  }
+
+  const intersections = rectIntersection(args);
+
+  if (intersections.length > 0) {
+    return intersections;
+  }
+
+  return closestCenter(args);
+};
+
+const COLLISION_DETECTORS = {
+  [COLLISION_DETECTION_TYPES.CLOSEST_CENTER]: closestCenter,
+  [COLLISION_DETECTION_TYPES.CLOSEST_CORNERS]: closestCorners,
+  [COLLISION_DETECTION_TYPES.RECT_INTERSECTION]: rectIntersection,
+  [COLLISION_DETECTION_TYPES.POINTER_WITHIN]: pointerWithin,
+  [COLLISION_DETECTION_TYPES.COMPOSITE]: compositeCollisionDetection
+};
+
+/**
+ * @param {string} type - Typ detekce kolizí
+ * @returns {Function} Algoritmus pro DndContext collisionDetection
+ */
+export const getCollisionDetection = (type) => {
+  return COLLISION_DETECTORS[type] ?? closestCenter;
+};
@@ -0,0 +1,75 @@
+// src/utils/csv.js
+// Utility funkce pro čtení a zápis CSV
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad textem
+
+/**
+ * Zapouzdří hodnotu pro CSV (uvozovky, oddělovač a zalomení řádků)
+ * @param {*} value - Hodnota buňky (pole se spojí mezerou)
+ * @param {string} delimiter - Oddělovač sloupců
+ * @returns {string} Buňka CSV
+ */
+export const toCsvCell = (value, delimiter = ',') => {
+  const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  const needsQuotes = text.includes('"') || text.includes(delimiter) || /[\n\r]/.test(text);
+
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Zjistí oddělovač podle prvního řádku - středník používá např. český Excel
+ * @param {string} text - Obsah CSV
+ * @returns {string} ',' nebo ';'
+ */
+export const detectCsvDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+};
+
+/**
+ * Rozdělí CSV na řádky a buňky (uvozovky mohou obsahovat oddělovač i zalomení řádku)
+ * @param {string} text - Obsah CSV
+ * @param {string} delimiter - Oddělovač sloupců
+ * @returns {Array<Array<string>>} Neprázdné řádky
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let isQuoted = false;
+
+  const pushRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (isQuoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      pushRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  pushRow();
+  return rows;
+};
@@ -0,0 +1,100 @@
+// src/utils/divergence.js
+// Utility funkce pro porovnání zamýšleného a skutečného výsledku operací
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad seznamy hodnot
+//
+// "Ground truth" model pracuje s hodnotami - tedy s tím, co uživatel skutečně
+// chytil nebo smazal - a nezávisí na indexech, které používá DnD Kit.
+
+import { arrayMove, arraySwap } from '@dnd-kit/sortable';
+import { moveGroup } from './selection';
+
+/**
+ * Přesune hodnotu na pozici cílové hodnoty
+ * @param {Array<string>} items - Zamýšlený seznam hodnot
+ * @param {string} grabbedValue - Hodnota, kterou uživatel chytil
+ * @param {string} overValue - Hodnota, nad kterou ji pustil
+ * @param {boolean} isSwap - Zda se hodnoty prohazují (rectSwappingStrategy)
+ * @returns {Array<string>} Nový zamýšlený seznam
+ */
+export const applyExpectedMove = (items, grabbedValue, overValue, isSwap = false) => {
+  const fromIndex = items.indexOf(grabbedValue);
+  const toIndex = items.indexOf(overValue);
+
+  if (fromIndex === -1 || toIndex === -1) {
+    return items;
+  }
+
+  return isSwap ? arraySwap(items, fromIndex, toIndex) : arrayMove(items, fromIndex, toIndex);
+};
+
+/**
+ * Přesune skupinu hodnot, kterou uživatel viděl jako vybranou
+ * @param {Array<string>} items - Zamýšlený seznam hodnot
+ * @param {Array<string>} groupValues - Vybrané hodnoty
+ * @param {string} grabbedValue - Hodnota, kterou uživatel chytil
+ * @param {string} overValue - Hodnota, nad kterou ji pustil
+ * @returns {Array<string>} Nový zamýšlený seznam
+ */
+export const applyExpectedGroupMove = (items, groupValues, grabbedValue, overValue) => {
+  const fromIndex = items.indexOf(grabbedValue);
+  const toIndex = items.indexOf(overValue);
+
+  if (fromIndex === -1 || toIndex === -1) {
+    return items;
+  }
+
+  const groupIndexes = groupValues.map(value => items.indexOf(value)).filter(index => index !== -1);
+  return moveGroup(items, groupIndexes, fromIndex, toIndex);
+};
+
+/**
+ * Odstraní hodnotu, kterou uživatel smazal
+ * @param {Array<string>} items - Zamýšlený seznam hodnot
+ * @param {string} value - Smazaná hodnota
+ * @returns {Array<string>} Nový zamýšlený seznam
+ */
+export const applyExpectedDelete = (items, value) => {
+  const index = items.indexOf(value);
+
+  if (index === -1) {
+    return items;
+  }
+
+  return items.filter((_, itemIndex) => itemIndex !== index);
+};
+
+/**
+ * Přejmenuje hodnotu, kterou uživatel editoval
+ * @param {Array<string>} items - Zamýšlený seznam hodnot
+ * @param {string} value - Editovaná hodnota
+ * @param {string} newValue - Nová hodnota
+ * @returns {Array<string>} Nový zamýšlený seznam
+ */
+export const applyExpectedEdit = (items, value, newValue) => {
+  const index = items.indexOf(value);
+
+  if (index === -1) {
+    return items;
+  }
+
+  return items.map((item, itemIndex) => (itemIndex === index ? newValue : item));
+};
+
+/**
+ * Najde pozice, na kterých se skutečný seznam liší od zamýšleného
+ * @param {Array<string>} expected - Zamýšlený seznam hodnot
+ * @param {Array<string>} actual - Skutečný seznam hodnot
+ * @returns {Array<number>} Indexy rozdílných pozic
+ */
+export const findDivergentIndexes = (expected, actual) => {
+  const length = Math.max(expected.length, actual.length);
+  const indexes = [];
+
+  for (let index = 0; index < length; index++) {
+    if (expected[index] !== actual[index]) {
+      indexes.push(index);
+    }
+  }
+
+  return indexes;
+};
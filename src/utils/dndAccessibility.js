@@ -0,0 +1,70 @@
+// src/utils/dndAccessibility.js
+// Lokalizovaná hlášení pro čtečky obrazovky během drag and drop
+// Tento soubor neobsahuje žádný state, pouze vytváří konfiguraci pro DndContext accessibility
+//
+// Položky se jmenují podle hodnoty (data.value z useSortable) a pozice v seznamu,
+// ne podle ID - index nebo náhodné ID uživateli čtečky nic neřekne.
+
+/**
+ * @param {Object} entity - active nebo over z DnD Kit eventu
+ * @returns {string} Hodnota položky, případně ID
+ */
+const getEntityValue = (entity) => {
+  return entity.data.current?.value ?? String(entity.id);
+};
+
+/**
+ * @param {Object} entity - active nebo over z DnD Kit eventu
+ * @returns {Object|null} { position, count } v rámci SortableContext (pozice od 1)
+ */
+const getEntityPosition = (entity) => {
+  const sortable = entity.data.current?.sortable;
+
+  if (!sortable) {
+    return null;
+  }
+
+  return { position: sortable.index + 1, count: sortable.items.length };
+};
+
+/**
+ * Vytvoří props accessibility pro DndContext v aktuálním jazyce
+ * @param {Function} t - Překladová funkce
+ * @param {boolean} isVerbose - Hlásit i každou změnu pozice během tažení
+ * @returns {Object} { announcements, screenReaderInstructions }
+ */
+export const createDndAccessibility = (t, isVerbose = true) => {
+  // prefix je 'dragOver' nebo 'dragEnd'; cíl bez pozice je droppable (např. sloupec Kanbanu)
+  const describeTarget = (prefix, active, over) => {
+    const value = getEntityValue(active);
+
+    if (!over) {
+      return t(`a11y.${prefix}Outside`, { value });
+    }
+
+    const overPosition = getEntityPosition(over);
+
+    if (overPosition) {
+      return t(`a11y.${prefix}`, { value, ...overPosition });
+    }
+
+    return t(`a11y.${prefix}Target`, { value, target: getEntityValue(over) });
+  };
+
+  return {
+    screenReaderInstructions: {
+      draggable: t('a11y.instructions')
+    },
+    announcements: {
+      onDragStart: ({ active }) => t('a11y.dragStart', {
+        value: getEntityValue(active),
+        ...getEntityPosition(active)
+      }),
+      onDragOver: ({ active, over }) => (
+        isVerbose ? describeTarget('dragOver', active, over) : undefined
+      ),
+      onDragEnd: ({ active, over }) => describeTarget('dragEnd', active, over),
+      onDragCancel: ({ active }) => t('a11y.dragCancel', { value: getEntityValue(active) })
+    }
+  };
+};
@@ -0,0 +1,31 @@
+// src/utils/download.js
+// Utility funkce pro stažení dat jako soubor
+// Tento soubor neobsahuje business logiku, pouze práci s Blob API
+
+/**
+ * Nabídne textový obsah ke stažení jako soubor
+ * @param {string} filename - Název souboru
+ * @param {string} content - Obsah souboru
+ * @param {string} mimeType - MIME typ (výchozí 'text/plain')
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Nabídne data ke stažení jako formátovaný JSON
+ * @param {string} filename - Název souboru
+ * @param {*} data - Serializovatelná data
+ */
+export const downloadJson = (filename, data) => {
+  downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+};
@@ -0,0 +1,35 @@
+// src/utils/dropAnimation.js
+// Mapování typu animace puštění na konfiguraci dropAnimation pro DragOverlay
+// Tento soubor neobsahuje žádný state, pouze konfiguraci animací
+
+import { defaultDropAnimationSideEffects } from '@dnd-kit/core';
+import { DROP_ANIMATIONS, UI_CONSTANTS } from '../constants';
+
+const DROP_ANIMATION_TIMINGS = {
+  [DROP_ANIMATIONS.DEFAULT]: { duration: 250, easing: 'ease' },
+  [DROP_ANIMATIONS.SLOW]: { duration: 700, easing: 'cubic-bezier(0.25, 1, 0.5, 1)' },
+  [DROP_ANIMATIONS.SPRING]: { duration: 450, easing: 'cubic-bezier(0.18, 0.67, 0.6, 1.22)' }
+};
+
+// Původní uzel zůstává během animace puštění poloprůhledný jako při tažení
+const dropSideEffects = defaultDropAnimationSideEffects({
+  styles: {
+    active: { opacity: String(UI_CONSTANTS.DRAGGING_OPACITY) }
+  }
+});
+
+/**
+ * Při omezení animací (nastavení přístupnosti / prefers-reduced-motion) náhled zmizí hned
+ * @param {string} type - Typ animace z DROP_ANIMATIONS
+ * @param {boolean} reduceMotion - Omezit animace
+ * @returns {Object|null} dropAnimation pro DragOverlay (null = bez animace)
+ */
+export const getDropAnimation = (type, reduceMotion = false) => {
+  const timing = DROP_ANIMATION_TIMINGS[type];
+
+  if (!timing || reduceMotion) {
+    return null;
+  }
+
+  return { ...timing, sideEffects: dropSideEffects };
+};
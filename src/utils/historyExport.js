@@ -0,0 +1,79 @@
+// src/utils/historyExport.js
+// Utility funkce pro filtrování a export historie akcí
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad záznamy z useHistory
+//
+// Zpráva záznamu je uložená jako klíč překladu - text se skládá až tady přes getMessageText,
+// takže export i vyhledávání fungují v aktuálním jazyce.
+
+import { toCsvCell } from './csv';
+
+export const CSV_COLUMNS = [
+  'id',
+  'createdAt',
+  'variant',
+  'operation',
+  'warning',
+  'undone',
+  'ids',
+  'indexes',
+  'message'
+];
+
+/**
+ * Vyfiltruje záznamy podle varianty, textu a varování
+ * @param {Array} entries - Záznamy historie
+ * @param {Object} filters - { variants: Array, query: string, warningsOnly: boolean }
+ * @param {Function} getMessageText - (entry) => přeložený text zprávy
+ * @returns {Array} Odpovídající záznamy
+ */
+export const filterHistoryEntries = (entries, filters, getMessageText) => {
+  const query = filters.query.trim().toLowerCase();
+
+  return entries.filter(entry => {
+    if (!filters.variants.includes(entry.type)) {
+      return false;
+    }
+
+    if (filters.warningsOnly && !entry.warning) {
+      return false;
+    }
+
+    if (!query) {
+      return true;
+    }
+
+    const searchable = [getMessageText(entry), entry.operation, ...(entry.ids ?? []).map(String)];
+    return searchable.some(text => text?.toLowerCase().includes(query));
+  });
+};
+
+/**
+ * Převede záznamy na serializovatelné řádky exportu (bez snapshotů)
+ * @param {Array} entries - Záznamy historie
+ * @param {Function} getMessageText - (entry) => přeložený text zprávy
+ * @returns {Array<Object>} Řádky se sloupci CSV_COLUMNS
+ */
+export const createHistoryRows = (entries, getMessageText) => {
+  return entries.map(entry => ({
+    id: entry.id,
+    createdAt: entry.createdAt ?? null,
+    variant: entry.type,
+    operation: entry.operation ?? null,
+    warning: !!entry.warning,
+    undone: !!entry.undone,
+    ids: entry.ids ?? [],
+    indexes: entry.indexes ?? [],
+    message: getMessageText(entry)
+  }));
+};
+
+/**
+ * @param {Array<Object>} rows - Řádky z createHistoryRows
+ * @returns {string} CSV s hlavičkou
+ */
+export const historyRowsToCsv = (rows) => {
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => toCsvCell(row[column])).join(','))
+  ].join('\n');
+};
@@ -1,9 +1,66 @@
 // src/utils/idGenerators.js
 // Utility funkce pro generování unikátních ID
 // Tento soubor neobsahuje žádnou business logiku, pouze pure funkce pro generování ID
+// Náhodné generátory přijímají zdroj náhody a hodiny, aby šly zdeterminizovat seedem
+
+import { ID_GENERATOR_TYPES } from '../constants';
 
 let idCounter = 0;
 
+const NANOID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Počáteční čas seedovaných hodin (2024-01-01T00:00:00Z)
+const SEEDED_CLOCK_START = Date.UTC(2024, 0, 1);
+
+/**
+ * Převede seed (string nebo číslo) na 32bitové celé číslo (FNV-1a)
+ * @param {string|number} seed - Seed
+ * @returns {number} 32bitový hash
+ */
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Vytvoří seedovatelný generátor pseudonáhodných čísel (mulberry32)
+ * @param {string|number} seed - Seed - stejný seed dává vždy stejnou sekvenci
+ * @returns {Function} Funkce vracející číslo v intervalu [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Vytvoří deterministické hodiny - každé volání posune čas o krok
+ * @param {number} start - Počáteční timestamp v ms
+ * @param {number} step - Posun mezi voláními v ms (výchozí 1)
+ * @returns {Function} Funkce vracející timestamp
+ */
+export const createFixedClock = (start, step = 1) => {
+  let current = start - step;
+
+  return () => {
+    current += step;
+    return current;
+  };
+};
+
 /**
  * Generuje inkrementální ID
  * @returns {string} ID ve formátu 'item-{number}'
@@ -13,17 +70,54 @@ export const generateIncrementalId = () => {
 };
 
 /**
- * Generuje UUID (s fallbackem pro starší prohlížeče)
+ * Inkrementální generátor pro seedovanou factory - vlastní čítač začíná na globálním
+ * čítači obnoveném z localStorage nebo z URL a nikdy pod něj neklesne (import ho může
+ * posunout i později). Vydaná čísla posouvají i globální čítač, takže se ID nezopakují.
+ * @returns {Function} Funkce vracející ID ve formátu 'item-{number}'
+ */
+const createRestoredIncrementalGenerator = () => {
+  let counter = idCounter;
+
+  return () => {
+    counter = Math.max(counter, idCounter) + 1;
+    idCounter = counter;
+    return `item-${counter}`;
+  };
+};
+
+/**
+ * Vrátí aktuální stav čítače inkrementálních ID
+ * @returns {number} Poslední použité číslo
+ */
+export const getIncrementalCounter = () => {
+  return idCounter;
+};
+
+/**
+ * Obnoví čítač inkrementálních ID (např. po načtení z localStorage)
+ * Čítač se nikdy nesníží, aby nevznikly kolize s již vydanými ID
+ * @param {number} value - Poslední použité číslo
+ */
+export const restoreIncrementalCounter = (value) => {
+  if (Number.isFinite(value)) {
+    idCounter = Math.max(idCounter, value);
+  }
+};
+
+/**
+ * Generuje UUID v4 (s fallbackem pro starší prohlížeče)
+ * @param {Function} random - Zdroj náhody; pokud je zadán, crypto.randomUUID se nepoužije
  * @returns {string} UUID string
  */
-export const generateUUID = () => {
-  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+export const generateUUID = (random) => {
+  if (!random && typeof crypto !== 'undefined' && crypto.randomUUID) {
     return crypto.randomUUID();
   }
   
-  // Fallback pro starší prohlížeče
-  return 'xxxx-xxxx-4xxx-yxxx-xxxx'.replace(/[xy]/g, (c) => {
-    const r = Math.random() * 16 | 0;
+  // Fallback pro starší prohlížeče a seedovaný zdroj náhody
+  const getRandom = random || Math.random;
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = getRandom() * 16 | 0;
     const v = c === 'x' ? r : (r & 0x3 | 0x8);
     return v.toString(16);
   });
@@ -32,14 +126,14 @@ export const generateUUID = () => {
 /**
  * Generuje krátké ID podobné nanoid
  * @param {number} size - Délka ID (výchozí 8)
+ * @param {Function} random - Zdroj náhody (výchozí Math.random)
  * @returns {string} Náhodné ID
  */
-export const generateNanoId = (size = 8) => {
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+export const generateNanoId = (size = 8, random = Math.random) => {
   let result = '';
   
   for (let i = 0; i < size; i++) {
-    result += alphabet.charAt(Math.floor(Math.random() * alphabet.length));
+    result += NANOID_ALPHABET.charAt(Math.floor(random() * NANOID_ALPHABET.length));
   }
   
   return result;
@@ -47,32 +141,75 @@ export const generateNanoId = (size = 8) => {
 
 /**
  * Generuje ID založené na timestamp a náhodném čísle
+ * @param {Function} now - Hodiny (výchozí Date.now)
+ * @param {Function} random - Zdroj náhody (výchozí Math.random)
  * @returns {string} ID ve formátu '{timestamp}-{random}'
  */
-export const generateTimestampId = () => {
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substr(2, 9);
-  return `${timestamp}-${random}`;
+export const generateTimestampId = (now = Date.now, random = Math.random) => {
+  const timestamp = now();
+  const suffix = random().toString(36).substr(2, 9);
+  return `${timestamp}-${suffix}`;
+};
+
+/**
+ * Vytvoří generátor ID daného typu
+ * Se stejným seedem (a hodinami) vrací vždy stejnou sekvenci ID.
+ * Inkrementální ID bez seedu sdílí globální čítač; se seedem má factory vlastní čítač,
+ * který pokračuje od ID v obnoveném stavu, aby nevznikly kolize po reloadu.
+ * Factory je proto nutné vytvořit až po obnovení čítače.
+ * @param {Object} options
+ * @param {string} options.type - Typ generátoru z ID_GENERATOR_TYPES (výchozí nanoid)
+ * @param {string|number} options.seed - Seed pro PRNG; bez seedu se použije Math.random
+ * @param {Function} options.now - Hodiny pro timestamp ID; se seedem výchozí createFixedClock
+ * @param {number} options.size - Délka nanoid
+ * @returns {Function} Funkce bez parametrů vracející nové ID
+ */
+export const createIdFactory = ({ type = ID_GENERATOR_TYPES.NANOID, seed, now, size } = {}) => {
+  const hasSeed = seed !== undefined && seed !== null;
+  const random = hasSeed ? createSeededRandom(seed) : undefined;
+  const clock = now || (hasSeed ? createFixedClock(SEEDED_CLOCK_START) : Date.now);
+
+  switch (type) {
+    case ID_GENERATOR_TYPES.INCREMENTAL:
+      return hasSeed ? createRestoredIncrementalGenerator() : generateIncrementalId;
+    case ID_GENERATOR_TYPES.UUID:
+      return () => generateUUID(random);
+    case ID_GENERATOR_TYPES.TIMESTAMP:
+      return () => generateTimestampId(clock, random);
+    case ID_GENERATOR_TYPES.NANOID:
+    default:
+      return () => generateNanoId(size, random);
+  }
+};
+
+/**
+ * Převede typ generátoru, options nebo hotovou factory na funkci generující ID
+ * @param {string|Object|Function} idType - Typ, options pro createIdFactory nebo factory
+ * @returns {Function} Funkce vracející nové ID
+ */
+const resolveIdFactory = (idType) => {
+  if (typeof idType === 'function') {
+    return idType;
+  }
+
+  if (typeof idType === 'string') {
+    return createIdFactory({ type: idType });
+  }
+
+  return createIdFactory(idType);
 };
 
 /**
  * Vytvoří položku s vygenerovaným ID
  * @param {string} value - Hodnota položky
- * @param {string} idType - Typ generátoru ID (výchozí 'nanoid')
+ * @param {string|Object|Function} idType - Typ generátoru, options nebo factory (výchozí 'nanoid')
  * @returns {Object} Objekt s id a value
  */
-export const createItemWithId = (value, idType = 'nanoid') => {
-  const generators = {
-    incremental: generateIncrementalId,
-    uuid: generateUUID,
-    nanoid: generateNanoId,
-    timestamp: generateTimestampId
-  };
-  
-  const generator = generators[idType] || generators.nanoid;
+export const createItemWithId = (value, idType = ID_GENERATOR_TYPES.NANOID) => {
+  const generateId = resolveIdFactory(idType);
   
   return {
-    id: generator(),
+    id: generateId(),
     value
   };
 };
@@ -80,9 +217,11 @@ export const createItemWithId = (value, idType = 'nanoid') => {
 /**
  * Transformuje pole hodnot na pole objektů s ID
  * @param {Array<string>} values - Pole hodnot
- * @param {string} idType - Typ generátoru ID
+ * @param {string|Object|Function} idType - Typ generátoru, options nebo factory
  * @returns {Array<Object>} Pole objektů s id a value
  */
-export const addIdsToValues = (values, idType = 'nanoid') => {
-  return values.map(value => createItemWithId(value, idType));
-};
\ No newline at end of file
+export const addIdsToValues = (values, idType = ID_GENERATOR_TYPES.NANOID) => {
+  // Jedna factory pro celý seznam, aby seedovaná sekvence pokračovala
+  const generateId = resolveIdFactory(idType);
+  return values.map(value => createItemWithId(value, generateId));
+};
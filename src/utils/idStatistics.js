@@ -0,0 +1,88 @@
+// src/utils/idStatistics.js
+// Utility funkce pro teoretickou analýzu generátorů ID
+// Tento soubor neobsahuje žádnou business logiku, pouze pure matematické funkce
+
+import { ID_GENERATOR_TYPES } from '../constants';
+
+const NANOID_ALPHABET_SIZE = 62;
+// crypto.randomUUID() (v4) má 6 pevných bitů verze a varianty
+const UUID_RANDOM_BITS = 122;
+// Math.random().toString(36).substr(2, 9) => 9 znaků base36
+const TIMESTAMP_RANDOM_CHARS = 9;
+const BASE36 = 36;
+
+/**
+ * Vrátí počet náhodných bitů v jednom ID
+ * @param {string} type - Typ generátoru z ID_GENERATOR_TYPES
+ * @param {number} size - Délka nanoid
+ * @returns {number} Entropie v bitech (0 pro deterministické generátory)
+ */
+export const getEntropyBits = (type, size = 8) => {
+  switch (type) {
+    case ID_GENERATOR_TYPES.NANOID:
+      return size * Math.log2(NANOID_ALPHABET_SIZE);
+    case ID_GENERATOR_TYPES.UUID:
+      return UUID_RANDOM_BITS;
+    case ID_GENERATOR_TYPES.TIMESTAMP:
+      return TIMESTAMP_RANDOM_CHARS * Math.log2(BASE36);
+    case ID_GENERATOR_TYPES.INCREMENTAL:
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Pravděpodobnost alespoň jedné kolize mezi n náhodnými ID (narozeninový problém)
+ * @param {number} count - Počet vygenerovaných ID
+ * @param {number} bits - Entropie jednoho ID v bitech
+ * @returns {number} Pravděpodobnost v intervalu [0, 1]
+ */
+export const birthdayCollisionProbability = (count, bits) => {
+  if (count < 2) {
+    return 0;
+  }
+
+  const pairs = (count * (count - 1)) / 2;
+  // -expm1 je přesný i pro velmi malé pravděpodobnosti
+  return -Math.expm1(-pairs / Math.pow(2, bits));
+};
+
+/**
+ * Teoretická pravděpodobnost kolize pro daný generátor
+ * Timestamp ID kolidují jen v rámci stejné milisekundy, proto se počítá po milisekundách.
+ * @param {string} type - Typ generátoru
+ * @param {number} count - Počet vygenerovaných ID
+ * @param {Object} options
+ * @param {number} options.size - Délka nanoid
+ * @param {number} options.durationMs - Doba generování (pro timestamp)
+ * @returns {number} Pravděpodobnost v intervalu [0, 1]
+ */
+export const getCollisionProbability = (type, count, { size = 8, durationMs = 0 } = {}) => {
+  const bits = getEntropyBits(type, size);
+
+  if (type === ID_GENERATOR_TYPES.INCREMENTAL) {
+    return 0;
+  }
+
+  if (type === ID_GENERATOR_TYPES.TIMESTAMP) {
+    const milliseconds = Math.max(1, Math.ceil(durationMs));
+    const perMillisecond = count / milliseconds;
+    const pairs = milliseconds * (perMillisecond * (perMillisecond - 1)) / 2;
+    return pairs > 0 ? -Math.expm1(-pairs / Math.pow(2, bits)) : 0;
+  }
+
+  return birthdayCollisionProbability(count, bits);
+};
+
+/**
+ * Počet ID, při kterém pravděpodobnost kolize dosáhne 50 %
+ * @param {number} bits - Entropie jednoho ID v bitech
+ * @returns {number} Přibližný počet ID (Infinity pro deterministické generátory)
+ */
+export const getFiftyPercentCollisionCount = (bits) => {
+  if (bits === 0) {
+    return Infinity;
+  }
+
+  return Math.sqrt(2 * Math.pow(2, bits) * Math.LN2);
+};
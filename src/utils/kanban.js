@@ -0,0 +1,52 @@
+// src/utils/kanban.js
+// Utility funkce pro Kanban režim s více sloupci
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad objektem { [sloupec]: položky }
+//
+// Hledání položky je předané zvenku (findIndex), stejně jako v useDragAndDrop -
+// varianta s indexy tak hledá podle pozice, která se ale opakuje v každém sloupci.
+
+/**
+ * Najde index položky podle indexu použitého jako ID
+ * @param {Array} items - Položky sloupce
+ * @param {number} id - Index použitý jako ID
+ * @returns {number} Index nebo -1
+ */
+export const findIndexByIndex = (items, id) => {
+  return Number.isInteger(id) && id >= 0 && id < items.length ? id : -1;
+};
+
+/**
+ * Najde sloupec, do kterého ID patří (ID sloupce nebo ID položky)
+ * @param {Object} columns - Položky podle sloupce
+ * @param {string|number} id - ID sloupce nebo položky
+ * @param {Function} findIndex - (items, id) => index
+ * @returns {string|null} ID sloupce - u duplicitních ID první nalezený
+ */
+export const findColumnId = (columns, id, findIndex) => {
+  if (typeof id === 'string' && Object.prototype.hasOwnProperty.call(columns, id)) {
+    return id;
+  }
+
+  return Object.keys(columns).find(columnId => findIndex(columns[columnId], id) !== -1) ?? null;
+};
+
+/**
+ * Přesune položku do jiného sloupce
+ * @param {Object} columns - Položky podle sloupce
+ * @param {string} fromColumn - Zdrojový sloupec
+ * @param {number} fromIndex - Pozice ve zdrojovém sloupci
+ * @param {string} toColumn - Cílový sloupec
+ * @param {number} toIndex - Pozice v cílovém sloupci
+ * @returns {Object} Nové sloupce
+ */
+export const moveItemToColumn = (columns, fromColumn, fromIndex, toColumn, toIndex) => {
+  const item = columns[fromColumn][fromIndex];
+  const targetItems = [...columns[toColumn]];
+  targetItems.splice(toIndex, 0, item);
+
+  return {
+    ...columns,
+    [fromColumn]: columns[fromColumn].filter((_, index) => index !== fromIndex),
+    [toColumn]: targetItems
+  };
+};
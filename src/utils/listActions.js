@@ -0,0 +1,271 @@
+// src/utils/listActions.js
+// Operace nad seznamem pro drag and drop - přesun, mazání, úpravy, výběr a reconciliation se serverem
+// Tento soubor neobsahuje React state - stav drží volající hook a předá getList/commit
+//
+// Operace vždy čtou nejnovější stav (getList) a nový stav hned vrací, takže je lze
+// vytvořit jednou a volat i po sobě v jednom handleru nebo z odpovědi serveru.
+
+import { arrayMove, arraySwap } from '@dnd-kit/sortable';
+import { getRangeIds, moveGroup, findMovedIds } from './selection';
+
+export const getObjectId = (item) => item.id;
+
+// Holá hodnota se při úpravě nahradí, objekt si ponechá ostatní vlastnosti
+const withValue = (item, value) => (typeof item === 'string' ? value : { ...item, value });
+
+/**
+ * Porovná dvě verze seznamu objektů s ID (např. krok scénáře), aby se změny daly
+ * poslat na server jednotlivě
+ * @param {Array<Object>} previousItems - Položky před změnou
+ * @param {Array<Object>} items - Položky po změně
+ * @returns {Object} { created, removed: [{ item, index }], updated: [{ id, value, previousValue }], reordered }
+ */
+export const diffItems = (previousItems, items) => {
+  const previousById = new Map(previousItems.map(item => [getObjectId(item), item]));
+  const ids = new Set(items.map(getObjectId));
+
+  const created = items.filter(item => !previousById.has(getObjectId(item)));
+  const removed = previousItems.flatMap((item, index) => (
+    ids.has(getObjectId(item)) ? [] : [{ item, index }]
+  ));
+  const updated = items.flatMap(item => {
+    const previousItem = previousById.get(getObjectId(item));
+    return previousItem && previousItem.value !== item.value
+      ? [{ id: getObjectId(item), value: item.value, previousValue: previousItem.value }]
+      : [];
+  });
+
+  // Pořadí se porovná jen u položek, které jsou v obou verzích
+  const keptIds = items.map(getObjectId).filter(id => previousById.has(id));
+  const previousKeptIds = previousItems.map(getObjectId).filter(id => ids.has(id));
+  const reordered = keptIds.some((id, index) => id !== previousKeptIds[index]);
+
+  return { created, removed, updated, reordered };
+};
+
+/**
+ * @param {Array} items - Položky seznamu
+ * @param {Array} selectedIds - Počáteční výběr
+ * @returns {Object} Stav seznamu { items, selectedIds }
+ */
+export const createList = (items, selectedIds = []) => ({ items, selectedIds });
+
+/**
+ * Vytvoří operace nad jedním seznamem
+ * @param {Function} getList - () => { items, selectedIds } - nejnovější stav
+ * @param {Function} commit - (list) => void - uložení nového stavu
+ * @param {Function} findIndexById - (items, id) => index; bez něj se jako ID použije index
+ * @param {Function} getId - Čtení ID z položky (výchozí item.id)
+ * @returns {Object} Operace seznamu; mutace vrací nový seznam pro snapshot historie
+ */
+export const createListActions = (getList, commit, findIndexById, getId = getObjectId) => {
+  // Poslední položka vybraná bez Shiftu - začátek rozsahu
+  let selectionAnchor = null;
+
+  const getItemIds = (items) => {
+    return findIndexById ? items.map(getId) : items.map((_, index) => index);
+  };
+
+  // ID, které už v seznamu nejsou (smazané položky), z výběru vypadnou
+  const commitItems = (items, selectedIds = getList().selectedIds) => {
+    const itemIds = getItemIds(items);
+    const selection = selectedIds.filter(id => itemIds.includes(id));
+    commit(createList(items, selection.length === selectedIds.length ? selectedIds : selection));
+    return items;
+  };
+
+  const setItems = (items) => commitItems(items);
+
+  /**
+   * @param {Object} event - DragEndEvent z DndContext
+   * @param {boolean} shouldSwap - Prohodit položky (rectSwappingStrategy) místo posunu
+   */
+  const handleDragEnd = (event, shouldSwap = false) => {
+    const { active, over } = event;
+
+    if (!over || active.id === over.id) {
+      return null;
+    }
+
+    const { items, selectedIds } = getList();
+    const oldIndex = findIndexById ? findIndexById(items, active.id) : active.id;
+    const newIndex = findIndexById ? findIndexById(items, over.id) : over.id;
+
+    if (oldIndex === -1 || newIndex === -1) {
+      return null;
+    }
+
+    // Tažení vybrané položky přesune celou skupinu
+    const itemIds = getItemIds(items);
+    const groupIndexes = selectedIds.length > 1 && selectedIds.includes(active.id)
+      ? selectedIds.map(id => itemIds.indexOf(id)).sort((a, b) => a - b)
+      : null;
+
+    const swapped = shouldSwap && !groupIndexes;
+    let newItems;
+
+    if (groupIndexes) {
+      newItems = moveGroup(items, groupIndexes, oldIndex, newIndex);
+    } else {
+      newItems = swapped ? arraySwap(items, oldIndex, newIndex) : arrayMove(items, oldIndex, newIndex);
+    }
+    commitItems(newItems);
+
+    return {
+      oldIndex,
+      newIndex,
+      activeId: active.id,
+      overId: over.id,
+      groupIndexes,
+      swapped,
+      items: newItems
+    };
+  };
+
+  const deleteItem = (idOrIndex) => {
+    const { items } = getList();
+    return commitItems(findIndexById
+      ? items.filter(item => getId(item) !== idOrIndex)
+      : items.filter((_, index) => index !== idOrIndex));
+  };
+
+  const updateItem = (idOrIndex, value) => {
+    const { items } = getList();
+    return commitItems(findIndexById
+      ? items.map(item => (getId(item) === idOrIndex ? withValue(item, value) : item))
+      : items.map((item, index) => (index === idOrIndex ? value : item)));
+  };
+
+  const addItem = (item) => commitItems([...getList().items, item]);
+
+  /**
+   * Ctrl/⌘ + klik přepne výběr položky, Shift + klik přidá rozsah od poslední vybrané
+   * @param {string|number} id - ID položky (u varianty s indexy pozice)
+   * @param {boolean} isRange - Zda jde o výběr rozsahu
+   */
+  const selectItem = (id, isRange = false) => {
+    const { items, selectedIds } = getList();
+
+    if (isRange && selectionAnchor !== null) {
+      const rangeIds = getRangeIds(getItemIds(items), selectionAnchor, id);
+      commit(createList(items, [...new Set([...selectedIds, ...rangeIds])]));
+      return;
+    }
+
+    selectionAnchor = id;
+    commit(createList(items, selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id]));
+  };
+
+  const clearSelection = () => {
+    selectionAnchor = null;
+    const { items, selectedIds } = getList();
+    if (selectedIds.length > 0) {
+      commit(createList(items, []));
+    }
+  };
+
+  /**
+   * Smaže všechny vybrané položky
+   * @returns {Object} { items, deletedIndexes }
+   */
+  const deleteSelected = () => {
+    const { items, selectedIds } = getList();
+    const itemIds = getItemIds(items);
+    const deletedIndexes = selectedIds.map(id => itemIds.indexOf(id)).sort((a, b) => a - b);
+    const newItems = items.filter((_, index) => !deletedIndexes.includes(index));
+
+    selectionAnchor = null;
+    commitItems(newItems, []);
+    return { items: newItems, deletedIndexes };
+  };
+
+  // Výměna dočasného ID za ID ze serveru - výběr se přenese na nové ID
+  const replaceItemId = (oldId, newId) => {
+    const { items, selectedIds } = getList();
+    if (selectionAnchor === oldId) {
+      selectionAnchor = newId;
+    }
+
+    return commitItems(
+      items.map(item => (getId(item) === oldId ? { ...item, id: newId } : item)),
+      selectedIds.map(id => (id === oldId ? newId : id))
+    );
+  };
+
+  const removeItem = (id) => {
+    return commitItems(getList().items.filter(item => getId(item) !== id));
+  };
+
+  /**
+   * Vrátí smazanou položku na původní pozici (nebo na konec, pokud se seznam mezitím zkrátil)
+   * @param {Object} item - Smazaná položka
+   * @param {number} index - Pozice před smazáním
+   */
+  const restoreItem = (item, index) => {
+    const { items } = getList();
+    return items.some(latestItem => getId(latestItem) === getId(item))
+      ? items
+      : commitItems([...items.slice(0, index), item, ...items.slice(index)]);
+  };
+
+  /**
+   * Vrátí na dřívější místo jen položky, které přesun z previousIds na ids přesunul.
+   * Ostatní položky si nechají aktuální pořadí, takže pozdější přesuny zůstanou.
+   * @param {Array<string>} previousIds - ID v pořadí před přesunem
+   * @param {Array<string>} ids - ID v pořadí po přesunu
+   */
+  const revertMove = (previousIds, ids) => {
+    const { items } = getList();
+    const movedIds = new Set(findMovedIds(previousIds, ids));
+    let newItems = items.filter(item => !movedIds.has(getId(item)));
+
+    previousIds.forEach((id, index) => {
+      const item = movedIds.has(id) && items.find(latestItem => getId(latestItem) === id);
+      // Položka mohla být mezitím smazaná
+      if (!item) {
+        return;
+      }
+
+      // Za nejbližšího dřívějšího souseda, který v seznamu je, jinak před nejbližšího dalšího
+      const findPosition = (neighbourId) => newItems.findIndex(newItem => getId(newItem) === neighbourId);
+      const previousNeighbour = previousIds.slice(0, index).reverse()
+        .find(neighbourId => findPosition(neighbourId) !== -1);
+      const nextNeighbour = previousIds.slice(index + 1)
+        .find(neighbourId => !movedIds.has(neighbourId) && findPosition(neighbourId) !== -1);
+      let position = newItems.length;
+
+      if (previousNeighbour !== undefined) {
+        position = findPosition(previousNeighbour) + 1;
+      } else if (nextNeighbour !== undefined) {
+        position = findPosition(nextNeighbour);
+      }
+      newItems = [...newItems.slice(0, position), item, ...newItems.slice(position)];
+    });
+
+    return commitItems(newItems);
+  };
+
+  const restoreValue = (id, value) => {
+    return commitItems(getList().items.map(item => (
+      getId(item) === id ? withValue(item, value) : item
+    )));
+  };
+
+  return {
+    setItems,
+    handleDragEnd,
+    deleteItem,
+    updateItem,
+    addItem,
+    selectItem,
+    clearSelection,
+    deleteSelected,
+    replaceItemId,
+    removeItem,
+    restoreItem,
+    revertMove,
+    restoreValue
+  };
+};
@@ -0,0 +1,207 @@
+// src/utils/listTransfer.js
+// Utility funkce pro import a export obsahu seznamů (text, CSV, JSON)
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad textem a položkami
+//
+// Import vrací záznamy { value, id? } - ID z dat se zachová, chybějící ID doplní
+// až createImportedItems vybraným generátorem. Export zapisuje aktuální pořadí i s ID.
+
+import { parseCsv, detectCsvDelimiter, toCsvCell } from './csv';
+import { LIST_FORMATS } from '../constants';
+
+// Přípona a MIME typ exportovaného souboru
+export const LIST_FORMAT_FILES = {
+  [LIST_FORMATS.TEXT]: { extension: 'txt', mimeType: 'text/plain' },
+  [LIST_FORMATS.CSV]: { extension: 'csv', mimeType: 'text/csv' },
+  [LIST_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json' }
+};
+
+// Sloupce CSV a klíče JSON objektů, ze kterých se čte hodnota položky
+const VALUE_KEYS = ['value', 'name', 'label', 'title'];
+const ID_KEY = 'id';
+// Sloupce, podle kterých se pozná hlavička CSV
+const HEADER_KEYS = [...VALUE_KEYS, ID_KEY];
+
+const isScalar = (value) => typeof value === 'string' || typeof value === 'number';
+
+/**
+ * Vytvoří záznam importu; prázdná hodnota vrátí null
+ * @param {*} value - Hodnota položky
+ * @param {*} id - ID z dat (volitelné)
+ * @returns {Object|null} { value, id? }
+ */
+const createRecord = (value, id) => {
+  if (!isScalar(value) || String(value).trim() === '') {
+    return null;
+  }
+
+  const record = { value: String(value).trim() };
+
+  if (isScalar(id) && String(id).trim() !== '') {
+    record.id = String(id).trim();
+  }
+
+  return record;
+};
+
+/**
+ * Odhadne formát vloženého textu
+ * @param {string} text - Vložený nebo načtený text
+ * @returns {string} Formát z LIST_FORMATS
+ */
+export const detectListFormat = (text) => {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return LIST_FORMATS.JSON;
+  }
+
+  // CSV se pozná jen podle hlavičky se známým sloupcem - řádek textu může obsahovat čárku
+  const [header = []] = parseCsv(trimmed.split(/\r?\n/, 1)[0], detectCsvDelimiter(trimmed));
+  const hasKnownColumn = header.some(cell => HEADER_KEYS.includes(cell.trim().toLowerCase()));
+
+  return hasKnownColumn ? LIST_FORMATS.CSV : LIST_FORMATS.TEXT;
+};
+
+const parseText = (text) => {
+  return text.split(/\r?\n/).map(line => createRecord(line));
+};
+
+// Bez hlavičky se jako hodnota bere první sloupec, s hlavičkou bez sloupce hodnoty
+// první sloupec, který není ID
+const parseCsvRecords = (text) => {
+  const rows = parseCsv(text, detectCsvDelimiter(text));
+  const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+
+  if (!header.some(cell => HEADER_KEYS.includes(cell))) {
+    return rows.map(row => createRecord(row[0]));
+  }
+
+  const idIndex = header.indexOf(ID_KEY);
+  const valueColumn = header.findIndex(cell => VALUE_KEYS.includes(cell));
+  const valueIndex = valueColumn === -1 ? header.findIndex(cell => cell !== ID_KEY) : valueColumn;
+
+  if (valueIndex === -1) {
+    return [];
+  }
+
+  return rows.slice(1).map(row => createRecord(row[valueIndex], idIndex === -1 ? undefined : row[idIndex]));
+};
+
+const parseJsonEntry = (entry) => {
+  if (isScalar(entry)) {
+    return createRecord(entry);
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const valueKey = VALUE_KEYS.find(key => isScalar(entry[key]));
+  return valueKey ? createRecord(entry[valueKey], entry.id) : null;
+};
+
+// Pole hodnot/objektů, { items: [...] } nebo objekt { [id]: hodnota }
+const parseJsonRecords = (text) => {
+  const data = JSON.parse(text);
+
+  if (Array.isArray(data)) {
+    return data.map(parseJsonEntry);
+  }
+
+  if (Array.isArray(data?.items)) {
+    return data.items.map(parseJsonEntry);
+  }
+
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([id, value]) => createRecord(value, id));
+  }
+
+  return [null];
+};
+
+/**
+ * Načte položky z textu v zadaném formátu
+ * @param {string} text - Vložený nebo načtený text
+ * @param {string} format - Formát z LIST_FORMATS; bez něj se odhadne
+ * @returns {Array<Object>|null} Záznamy { value, id? } nebo null pokud data nejsou platná
+ */
+export const parseListData = (text, format = null) => {
+  const parsers = {
+    [LIST_FORMATS.TEXT]: parseText,
+    [LIST_FORMATS.CSV]: parseCsvRecords,
+    [LIST_FORMATS.JSON]: parseJsonRecords
+  };
+
+  try {
+    const resolvedFormat = format || detectListFormat(text);
+    const records = parsers[resolvedFormat](text);
+    const validRecords = records.filter(Boolean);
+
+    // Prázdné řádky textu a CSV se přeskočí, neplatný záznam v JSON zneplatní celý import
+    if (resolvedFormat === LIST_FORMATS.JSON && validRecords.length !== records.length) {
+      return null;
+    }
+
+    return validRecords.length > 0 ? validRecords : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Vytvoří položky s ID - ID z dat se zachová, chybějící nebo duplicitní se vygeneruje
+ * @param {Array<Object>} records - Záznamy { value, id? }
+ * @param {Function} generateId - Factory vybraného generátoru
+ * @param {string} idType - Typ generátoru uložený k vygenerovaným ID (volitelné)
+ * @returns {Array<Object>} Položky { id, value } (případně s idType)
+ */
+export const createImportedItems = (records, generateId, idType = null) => {
+  const ownIds = new Set(records.map(record => record.id).filter(Boolean));
+  const usedIds = new Set();
+
+  const createUniqueId = () => {
+    let id = generateId();
+    while (usedIds.has(id) || ownIds.has(id)) {
+      id = generateId();
+    }
+    return id;
+  };
+
+  return records.map(record => {
+    const hasOwnId = record.id !== undefined && !usedIds.has(record.id);
+    const id = hasOwnId ? record.id : createUniqueId();
+    usedIds.add(id);
+
+    return hasOwnId || !idType ? { id, value: record.value } : { id, value: record.value, idType };
+  });
+};
+
+/**
+ * Zapíše položky v aktuálním pořadí do zadaného formátu
+ * Varianta s indexy nemá ID, takže se exportují jen hodnoty. Prostý text ID nenese.
+ * @param {Array<string|Object>} items - Položky varianty
+ * @param {string} format - Formát z LIST_FORMATS
+ * @returns {string} Obsah souboru
+ */
+export const serializeList = (items, format) => {
+  const hasIds = items.some(item => typeof item !== 'string');
+  const getValue = (item) => (typeof item === 'string' ? item : item.value);
+
+  switch (format) {
+    case LIST_FORMATS.CSV:
+      return [
+        hasIds ? 'id,value' : 'value',
+        ...items.map(item => (hasIds
+          ? `${toCsvCell(item.id)},${toCsvCell(item.value)}`
+          : toCsvCell(item)))
+      ].join('\n');
+    case LIST_FORMATS.JSON:
+      return JSON.stringify(
+        items.map(item => (typeof item === 'string' ? item : { id: item.id, value: item.value })),
+        null,
+        2
+      );
+    default:
+      return items.map(getValue).join('\n');
+  }
+};
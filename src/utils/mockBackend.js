@@ -0,0 +1,202 @@
+// src/utils/mockBackend.js
+// Mock REST backend běžící v prohlížeči - databáze je pole řádků v paměti
+// Tento soubor neobsahuje žádný React state, pouze simulaci serveru se zpožděním a chybami
+//
+// Server přiděluje ID novým řádkům ('db-{číslo}'), klient do odpovědi drží dočasné ID ('tmp-...').
+// Každý požadavek čeká nastavenou latenci a s nastavenou pravděpodobností selže (503).
+
+import { MOCK_BACKEND } from '../constants';
+
+export const TEMPORARY_ID_PREFIX = 'tmp-';
+const SERVER_ID_PREFIX = 'db-';
+
+export const HTTP_STATUS = {
+  OK: 200,
+  CREATED: 201,
+  NO_CONTENT: 204,
+  BAD_REQUEST: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  SERVICE_UNAVAILABLE: 503,
+  // Požadavek zrušený novým naplněním databáze - odpověď už nikoho nezajímá
+  ABORTED: 0
+};
+
+/**
+ * @param {number} status - HTTP status z HTTP_STATUS
+ * @param {string} message - Popis chyby
+ * @returns {Error} Chyba s HTTP statusem (reject požadavku)
+ */
+const createHttpError = (status, message) => {
+  return Object.assign(new Error(message), { status });
+};
+
+/**
+ * @param {string} id - ID položky
+ * @returns {boolean} Zda jde o dočasné ID klienta
+ */
+export const isTemporaryId = (id) => {
+  return typeof id === 'string' && id.startsWith(TEMPORARY_ID_PREFIX);
+};
+
+/**
+ * Nová položka před odpovědí serveru - clientId zůstává React klíčem i po výměně ID
+ * @param {string} value - Hodnota položky
+ * @param {Function} generateId - Generátor náhodné části dočasného ID
+ * @returns {Object} { id, value, clientId }
+ */
+export const createTemporaryItem = (value, generateId) => {
+  const id = `${TEMPORARY_ID_PREFIX}${generateId()}`;
+  return { id, value, clientId: id };
+};
+
+/**
+ * Řádky, které už v databázi jsou (počáteční data varianty)
+ * @param {Array<string>} values - Hodnoty položek
+ * @returns {Array<Object>} Položky s ID ze serveru
+ */
+export const createServerItems = (values) => {
+  return values.map((value, index) => ({ id: `${SERVER_ID_PREFIX}${index + 1}`, value }));
+};
+
+const findNextServerNumber = (rows) => {
+  return rows.reduce((max, row) => {
+    const match = /^db-(\d+)$/.exec(row.id);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0) + 1;
+};
+
+/**
+ * Vytvoří mock backend
+ * @param {Array<Object>} initialRows - Počáteční řádky { id, value }
+ * @param {Object} settings - { latency, failureRate }
+ * @param {Function} random - Zdroj náhody pro selhání (výchozí Math.random)
+ * @returns {Object} { request, seed, configure, abort }
+ */
+export const createMockBackend = (initialRows = [], settings = {}, random = Math.random) => {
+  let rows = [];
+  let nextNumber = 1;
+  let latency = settings.latency ?? MOCK_BACKEND.DEFAULT_LATENCY;
+  let failureRate = settings.failureRate ?? MOCK_BACKEND.DEFAULT_FAILURE_RATE;
+  // Rozpracované požadavky - nové naplnění databáze je zruší
+  const pending = new Set();
+
+  const findRow = (id) => {
+    const row = rows.find(item => item.id === id);
+    if (!row) {
+      throw createHttpError(HTTP_STATUS.NOT_FOUND, `Item ${id} not found`);
+    }
+    return row;
+  };
+
+  // Routy REST API nad /items
+  const handle = (method, path, body = {}) => {
+    const [, resource, id] = path.split('/');
+
+    if (resource !== 'items') {
+      throw createHttpError(HTTP_STATUS.NOT_FOUND, `Unknown resource ${path}`);
+    }
+
+    if (method === 'GET' && !id) {
+      return { status: HTTP_STATUS.OK, body: rows.map(row => ({ ...row })) };
+    }
+
+    if (method === 'POST' && !id) {
+      if (typeof body.value !== 'string') {
+        throw createHttpError(HTTP_STATUS.BAD_REQUEST, 'Missing value');
+      }
+      const row = { id: `${SERVER_ID_PREFIX}${nextNumber++}`, value: body.value };
+      rows = [...rows, row];
+      return { status: HTTP_STATUS.CREATED, body: { ...row } };
+    }
+
+    // Nové pořadí řádků, které klient zná; ostatní zůstanou za nimi
+    if (method === 'PUT' && id === 'order') {
+      const ids = body.ids ?? [];
+      if (!ids.every(rowId => rows.some(row => row.id === rowId))) {
+        throw createHttpError(HTTP_STATUS.CONFLICT, 'Order contains unknown items');
+      }
+      rows = [
+        ...ids.map(findRow),
+        ...rows.filter(row => !ids.includes(row.id))
+      ];
+      return { status: HTTP_STATUS.OK, body: { ids } };
+    }
+
+    if (method === 'PATCH' && id) {
+      const row = findRow(id);
+      rows = rows.map(item => (item === row ? { ...row, value: body.value } : item));
+      return { status: HTTP_STATUS.OK, body: { id, value: body.value } };
+    }
+
+    if (method === 'DELETE' && id) {
+      findRow(id);
+      rows = rows.filter(row => row.id !== id);
+      return { status: HTTP_STATUS.NO_CONTENT, body: null };
+    }
+
+    throw createHttpError(HTTP_STATUS.NOT_FOUND, `No route for ${method} ${path}`);
+  };
+
+  /**
+   * Odešle požadavek - odpověď přijde po nastavené latenci
+   * @param {string} method - HTTP metoda
+   * @param {string} path - Cesta, např. '/items/db-1'
+   * @param {Object} body - Tělo požadavku
+   * @returns {Promise<Object>} { status, body }; reject s Error se status
+   */
+  const request = (method, path, body) => new Promise((resolve, reject) => {
+    const entry = { reject };
+    entry.timer = setTimeout(() => {
+      pending.delete(entry);
+
+      if (random() < failureRate) {
+        reject(createHttpError(HTTP_STATUS.SERVICE_UNAVAILABLE, 'Service unavailable'));
+        return;
+      }
+
+      try {
+        resolve(handle(method, path, body));
+      } catch (error) {
+        reject(error);
+      }
+    }, latency);
+    pending.add(entry);
+  });
+
+  // Zruší rozpracované požadavky (nové naplnění databáze, odmontování)
+  const abort = () => {
+    pending.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(createHttpError(HTTP_STATUS.ABORTED, 'Request aborted'));
+    });
+    pending.clear();
+  };
+
+  /**
+   * Nahradí obsah databáze (reset, import, undo, scénář) - rozpracované požadavky se zruší
+   * @param {Array<Object>} items - Položky { id, value }
+   */
+  const seed = (items) => {
+    abort();
+    rows = items.map(({ id, value }) => ({ id, value }));
+    nextNumber = findNextServerNumber(rows);
+  };
+
+  /**
+   * @param {Object} newSettings - { latency, failureRate }
+   */
+  const configure = (newSettings) => {
+    latency = newSettings.latency ?? latency;
+    failureRate = newSettings.failureRate ?? failureRate;
+  };
+
+  seed(initialRows);
+
+  return {
+    request,
+    seed,
+    configure,
+    abort
+  };
+};
@@ -0,0 +1,329 @@
+// src/utils/scenario.js
+// Utility funkce pro nahrávání a přehrávání scénářů
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad serializovatelným skriptem
+//
+// Krok scénáře popisuje, co uživatel udělal (hodnota + pozice). Při přehrávání
+// varianta s indexy použije uložené pozice, varianty s ID hledají položku podle hodnoty.
+
+import { arrayMove, arraySwap } from '@dnd-kit/sortable';
+import { moveGroup } from './selection';
+import { VARIANTS, ID_STRATEGIES, usesPlainItems } from '../variants';
+import { createVariantItem } from '../variants/items';
+
+export const SCENARIO_VERSION = 1;
+
+export const SCENARIO_STEP_TYPES = {
+  MOVE: 'move',
+  MOVE_GROUP: 'moveGroup',
+  SWAP: 'swap',
+  DELETE: 'delete',
+  ADD: 'add',
+  EDIT: 'edit'
+};
+
+/**
+ * Vrátí hodnotu položky bez ohledu na to, zda jde o string nebo objekt s ID
+ * @param {string|Object} item - Položka seznamu
+ * @returns {string} Hodnota položky
+ */
+const getItemValue = (item) => {
+  return typeof item === 'string' ? item : item?.value;
+};
+
+/**
+ * Vytvoří prázdný skript se stavem, ze kterého nahrávání začalo
+ * @param {Object} startSnapshot - Položky všech variant na začátku
+ * @returns {Object} Serializovatelný skript
+ */
+export const createScript = (startSnapshot) => ({
+  version: SCENARIO_VERSION,
+  start: startSnapshot,
+  steps: []
+});
+
+/**
+ * @param {string} source - Typ varianty, ve které akce proběhla
+ * @param {Array} items - Položky před přesunem
+ * @param {number} fromIndex - Původní pozice
+ * @param {number} toIndex - Nová pozice
+ * @returns {Object} Krok scénáře
+ */
+export const createMoveStep = (source, items, fromIndex, toIndex) => ({
+  type: SCENARIO_STEP_TYPES.MOVE,
+  source,
+  value: getItemValue(items[fromIndex]),
+  overValue: getItemValue(items[toIndex]),
+  fromIndex,
+  toIndex
+});
+
+/**
+ * @param {string} source - Typ varianty, ve které akce proběhla
+ * @param {Array} items - Položky před prohozením
+ * @param {number} fromIndex - Pozice tažené položky
+ * @param {number} toIndex - Pozice položky, se kterou se prohodila
+ * @returns {Object} Krok scénáře
+ */
+export const createSwapStep = (source, items, fromIndex, toIndex) => ({
+  ...createMoveStep(source, items, fromIndex, toIndex),
+  type: SCENARIO_STEP_TYPES.SWAP
+});
+
+/**
+ * @param {string} source - Typ varianty, ve které akce proběhla
+ * @param {Array} items - Položky před přesunem
+ * @param {Array<number>} groupIndexes - Pozice všech vybraných položek
+ * @param {number} fromIndex - Původní pozice tažené položky
+ * @param {number} toIndex - Pozice, nad kterou byla puštěna
+ * @returns {Object} Krok scénáře
+ */
+export const createMoveGroupStep = (source, items, groupIndexes, fromIndex, toIndex) => ({
+  ...createMoveStep(source, items, fromIndex, toIndex),
+  type: SCENARIO_STEP_TYPES.MOVE_GROUP,
+  values: groupIndexes.map(index => getItemValue(items[index])),
+  indexes: groupIndexes,
+  count: groupIndexes.length
+});
+
+/**
+ * @param {string} source - Typ varianty, ve které akce proběhla
+ * @param {Array} items - Položky před smazáním
+ * @param {number} index - Pozice mazané položky
+ * @returns {Object} Krok scénáře
+ */
+export const createDeleteStep = (source, items, index) => ({
+  type: SCENARIO_STEP_TYPES.DELETE,
+  source,
+  value: getItemValue(items[index]),
+  index
+});
+
+/**
+ * @param {string} source - Typ varianty, ve které akce proběhla
+ * @param {string} value - Hodnota přidané položky
+ * @returns {Object} Krok scénáře
+ */
+export const createAddStep = (source, value) => ({
+  type: SCENARIO_STEP_TYPES.ADD,
+  source,
+  value
+});
+
+/**
+ * @param {string} source - Typ varianty, ve které akce proběhla
+ * @param {Array} items - Položky před editací
+ * @param {number} index - Pozice editované položky
+ * @param {string} newValue - Nová hodnota
+ * @returns {Object} Krok scénáře
+ */
+export const createEditStep = (source, items, index, newValue) => ({
+  type: SCENARIO_STEP_TYPES.EDIT,
+  source,
+  value: getItemValue(items[index]),
+  newValue,
+  index
+});
+
+const isValidIndex = (items, index) => index >= 0 && index < items.length;
+
+const applyStepByIndex = (items, step) => {
+  switch (step.type) {
+    case SCENARIO_STEP_TYPES.MOVE:
+      if (!isValidIndex(items, step.fromIndex) || !isValidIndex(items, step.toIndex)) {
+        return items;
+      }
+      return arrayMove(items, step.fromIndex, step.toIndex);
+    case SCENARIO_STEP_TYPES.SWAP:
+      if (!isValidIndex(items, step.fromIndex) || !isValidIndex(items, step.toIndex)) {
+        return items;
+      }
+      return arraySwap(items, step.fromIndex, step.toIndex);
+    case SCENARIO_STEP_TYPES.MOVE_GROUP:
+      if (![step.fromIndex, step.toIndex, ...step.indexes].every(index => isValidIndex(items, index))) {
+        return items;
+      }
+      return moveGroup(items, step.indexes, step.fromIndex, step.toIndex);
+    case SCENARIO_STEP_TYPES.DELETE:
+      return items.filter((_, index) => index !== step.index);
+    case SCENARIO_STEP_TYPES.ADD:
+      return [...items, step.value];
+    case SCENARIO_STEP_TYPES.EDIT:
+      return items.map((item, index) => (index === step.index ? step.newValue : item));
+    default:
+      return items;
+  }
+};
+
+const applyStepById = (variant, items, step, idFactories) => {
+  const findIndexByValue = (value) => items.findIndex(item => item.value === value);
+
+  switch (step.type) {
+    case SCENARIO_STEP_TYPES.MOVE: {
+      const fromIndex = findIndexByValue(step.value);
+      const toIndex = findIndexByValue(step.overValue);
+      if (fromIndex === -1 || toIndex === -1) {
+        return items;
+      }
+      return arrayMove(items, fromIndex, toIndex);
+    }
+    case SCENARIO_STEP_TYPES.SWAP: {
+      const fromIndex = findIndexByValue(step.value);
+      const toIndex = findIndexByValue(step.overValue);
+      if (fromIndex === -1 || toIndex === -1) {
+        return items;
+      }
+      return arraySwap(items, fromIndex, toIndex);
+    }
+    case SCENARIO_STEP_TYPES.MOVE_GROUP: {
+      const fromIndex = findIndexByValue(step.value);
+      const toIndex = findIndexByValue(step.overValue);
+      if (fromIndex === -1 || toIndex === -1) {
+        return items;
+      }
+      const groupIndexes = step.values.map(findIndexByValue).filter(index => index !== -1);
+      return moveGroup(items, groupIndexes, fromIndex, toIndex);
+    }
+    case SCENARIO_STEP_TYPES.DELETE: {
+      const target = items[findIndexByValue(step.value)];
+      return target ? items.filter(item => item.id !== target.id) : items;
+    }
+    case SCENARIO_STEP_TYPES.ADD:
+      return [...items, createVariantItem(variant, step.value, idFactories)];
+    case SCENARIO_STEP_TYPES.EDIT: {
+      const target = items[findIndexByValue(step.value)];
+      return target
+        ? items.map(item => (item.id === target.id ? { ...item, value: step.newValue } : item))
+        : items;
+    }
+    default:
+      return items;
+  }
+};
+
+// Hodnota je ID - hledá se první výskyt, mazání a úprava zasáhnou všechny položky se stejnou hodnotou
+const applyStepByValue = (items, step) => {
+  const fromIndex = items.indexOf(step.value);
+  const toIndex = items.indexOf(step.overValue);
+  const canMove = fromIndex !== -1 && toIndex !== -1;
+
+  switch (step.type) {
+    case SCENARIO_STEP_TYPES.MOVE:
+      return canMove ? arrayMove(items, fromIndex, toIndex) : items;
+    case SCENARIO_STEP_TYPES.SWAP:
+      return canMove ? arraySwap(items, fromIndex, toIndex) : items;
+    case SCENARIO_STEP_TYPES.MOVE_GROUP: {
+      if (!canMove) {
+        return items;
+      }
+      const groupIndexes = step.values.map(value => items.indexOf(value)).filter(index => index !== -1);
+      return moveGroup(items, groupIndexes, fromIndex, toIndex);
+    }
+    case SCENARIO_STEP_TYPES.DELETE:
+      return items.filter(item => item !== step.value);
+    case SCENARIO_STEP_TYPES.ADD:
+      return [...items, step.value];
+    case SCENARIO_STEP_TYPES.EDIT:
+      return items.map(item => (item === step.value ? step.newValue : item));
+    default:
+      return items;
+  }
+};
+
+const applyVariantStep = (variant, items, step, idFactories) => {
+  switch (variant.idStrategy) {
+    case ID_STRATEGIES.INDEX:
+    case ID_STRATEGIES.RENDER:
+      return applyStepByIndex(items, step);
+    case ID_STRATEGIES.VALUE:
+      return applyStepByValue(items, step);
+    default:
+      return applyStepById(variant, items, step, idFactories);
+  }
+};
+
+/**
+ * Aplikuje krok scénáře na všechny varianty z registru najednou
+ * @param {Object} snapshot - Aktuální položky všech variant
+ * @param {Object} step - Krok scénáře
+ * @param {Object} idFactories - Factory podle typu generátoru (se seedem dá přehrávání stejná ID)
+ * @returns {Object} Nový snapshot
+ */
+export const applyScenarioStep = (snapshot, step, idFactories) => Object.fromEntries(
+  VARIANTS.map(variant => [
+    variant.type,
+    applyVariantStep(variant, snapshot[variant.type], step, idFactories)
+  ])
+);
+
+/**
+ * Převede skript na JSON
+ * @param {Object} script - Skript scénáře
+ * @returns {string} JSON reprezentace
+ */
+export const serializeScript = (script) => {
+  return JSON.stringify(script, null, 2);
+};
+
+const isString = (value) => typeof value === 'string';
+const isArrayOf = (isValid) => (value) => Array.isArray(value) && value.every(isValid);
+
+const MOVE_FIELDS = {
+  value: isString,
+  overValue: isString,
+  fromIndex: Number.isInteger,
+  toIndex: Number.isInteger
+};
+
+// Povinná pole podle typu kroku - bez nich by přehrání kroku spadlo
+const STEP_FIELDS = {
+  [SCENARIO_STEP_TYPES.MOVE]: MOVE_FIELDS,
+  [SCENARIO_STEP_TYPES.SWAP]: MOVE_FIELDS,
+  [SCENARIO_STEP_TYPES.MOVE_GROUP]: {
+    ...MOVE_FIELDS,
+    values: isArrayOf(isString),
+    indexes: isArrayOf(Number.isInteger)
+  },
+  [SCENARIO_STEP_TYPES.DELETE]: { value: isString, index: Number.isInteger },
+  [SCENARIO_STEP_TYPES.ADD]: { value: isString },
+  [SCENARIO_STEP_TYPES.EDIT]: { value: isString, newValue: isString, index: Number.isInteger }
+};
+
+const isValidStep = (step) => {
+  const fields = STEP_FIELDS[step?.type];
+  return Boolean(fields) && Object.entries(fields).every(([key, isValid]) => isValid(step[key]));
+};
+
+const isValidItem = (variant, item) => {
+  return usesPlainItems(variant) ? isString(item) : isString(item?.id) && isString(item.value);
+};
+
+// Skript nahraný před přidáním varianty do registru její seznam nemá
+const isValidStart = (start) => {
+  if (!start || typeof start !== 'object' || Array.isArray(start)) {
+    return false;
+  }
+
+  return VARIANTS.every(variant => (
+    start[variant.type] === undefined ||
+    isArrayOf(item => isValidItem(variant, item))(start[variant.type])
+  ));
+};
+
+/**
+ * Načte skript z JSON a ověří jeho strukturu
+ * @param {string} json - JSON reprezentace skriptu
+ * @returns {Object|null} Skript nebo null pokud je neplatný
+ */
+export const parseScript = (json) => {
+  try {
+    const script = JSON.parse(json);
+
+    if (script?.version !== SCENARIO_VERSION || !isArrayOf(isValidStep)(script.steps)) {
+      return null;
+    }
+
+    return isValidStart(script.start) ? script : null;
+  } catch {
+    return null;
+  }
+};
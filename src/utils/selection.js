@@ -0,0 +1,87 @@
+// src/utils/selection.js
+// Utility funkce pro výběr více položek a jejich hromadný přesun
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad seznamy
+//
+// Funkce pracují s pozicemi, takže fungují stejně pro indexy i pro ID -
+// převod ID na pozici je na volajícím.
+
+import { arrayMove } from '@dnd-kit/sortable';
+
+/**
+ * Vrátí ID mezi dvěma položkami včetně (v aktuálním pořadí seznamu)
+ * @param {Array} ids - ID všech položek v pořadí
+ * @param {string|number} anchorId - Naposledy vybraná položka
+ * @param {string|number} targetId - Položka, na kterou uživatel klikl se Shiftem
+ * @returns {Array} ID v rozsahu
+ */
+export const getRangeIds = (ids, anchorId, targetId) => {
+  const anchorIndex = ids.indexOf(anchorId);
+  const targetIndex = ids.indexOf(targetId);
+
+  if (anchorIndex === -1 || targetIndex === -1) {
+    return [targetId];
+  }
+
+  const [start, end] = anchorIndex < targetIndex
+    ? [anchorIndex, targetIndex]
+    : [targetIndex, anchorIndex];
+
+  return ids.slice(start, end + 1);
+};
+
+/**
+ * Přesune skupinu položek tam, kam by se přesunula tažená položka.
+ * Skupina zůstane pohromadě v původním vzájemném pořadí.
+ * @param {Array} items - Položky seznamu
+ * @param {Array<number>} groupIndexes - Pozice vybraných položek (včetně tažené)
+ * @param {number} activeIndex - Pozice tažené položky
+ * @param {number} overIndex - Pozice, nad kterou byla puštěna
+ * @returns {Array} Nový seznam
+ */
+export const moveGroup = (items, groupIndexes, activeIndex, overIndex) => {
+  const group = [...new Set([...groupIndexes, activeIndex])].sort((a, b) => a - b);
+  const order = arrayMove(items.map((_, index) => index), activeIndex, overIndex)
+    .filter(index => index === activeIndex || !group.includes(index));
+  const position = order.indexOf(activeIndex);
+
+  return [
+    ...order.slice(0, position),
+    ...group,
+    ...order.slice(position + 1)
+  ].map(index => items[index]);
+};
+
+/**
+ * Najde položky, které se mezi dvěma pořadími přesunuly - ostatní si zachovaly
+ * vzájemné pořadí (nejdelší společná podposloupnost)
+ * @param {Array} previousIds - ID v původním pořadí
+ * @param {Array} ids - ID v novém pořadí
+ * @returns {Array} ID přesunutých položek
+ */
+export const findMovedIds = (previousIds, ids) => {
+  const lengths = previousIds.map(() => new Array(ids.length + 1).fill(0));
+  lengths.push(new Array(ids.length + 1).fill(0));
+
+  for (let i = previousIds.length - 1; i >= 0; i--) {
+    for (let j = ids.length - 1; j >= 0; j--) {
+      lengths[i][j] = previousIds[i] === ids[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const kept = new Set();
+  for (let i = 0, j = 0; i < previousIds.length && j < ids.length;) {
+    if (previousIds[i] === ids[j]) {
+      kept.add(ids[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return ids.filter(id => !kept.has(id));
+};
@@ -0,0 +1,33 @@
+// src/utils/sortingLayouts.js
+// Mapování rozložení seznamu na sorting strategy z @dnd-kit/sortable
+// Tento soubor neobsahuje žádný state, pouze konfiguraci strategií
+
+import {
+  verticalListSortingStrategy,
+  horizontalListSortingStrategy,
+  rectSortingStrategy,
+  rectSwappingStrategy
+} from '@dnd-kit/sortable';
+import { LAYOUT_TYPES } from '../constants';
+
+const SORTING_STRATEGIES = {
+  [LAYOUT_TYPES.VERTICAL]: verticalListSortingStrategy,
+  [LAYOUT_TYPES.HORIZONTAL]: horizontalListSortingStrategy,
+  [LAYOUT_TYPES.GRID]: rectSortingStrategy,
+  [LAYOUT_TYPES.SWAP]: rectSwappingStrategy
+};
+
+/**
+ * @param {string} layout - Typ rozložení
+ * @returns {Function} Sorting strategy pro SortableContext
+ */
+export const getSortingStrategy = (layout) => {
+  return SORTING_STRATEGIES[layout] ?? verticalListSortingStrategy;
+};
+
+/**
+ * Při rectSwappingStrategy si položky pozice vymění, místo aby se posunuly
+ * @param {string} layout - Typ rozložení
+ * @returns {boolean} Zda se má po puštění použít arraySwap místo arrayMove
+ */
+export const isSwapLayout = (layout) => layout === LAYOUT_TYPES.SWAP;
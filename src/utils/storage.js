@@ -0,0 +1,217 @@
+// src/utils/storage.js
+// Utility funkce pro ukládání stavu aplikace do localStorage
+// Tento soubor neobsahuje business logiku, pouze serializaci a migrace schématu
+// Položky se ukládají včetně ID - po načtení se nikdy negenerují znovu
+
+import { VARIANT_LIST_TYPES } from '../variants';
+
+export const STORAGE_KEY = 'dnd-kit-index-problem';
+export const SCHEMA_VERSION = 2;
+
+// Každý záznam historie nese snapshot všech variant - ukládají se jen ty nejnovější
+export const PERSISTED_HISTORY_LIMIT = 50;
+
+// Výsledek uložení - při plném úložišti se zkusí uložit stav bez historie
+export const SAVE_RESULTS = {
+  SAVED: 'saved',
+  HISTORY_DROPPED: 'historyDropped',
+  FAILED: 'failed'
+};
+
+/**
+ * Najde nejvyšší číslo použité v inkrementálních ID ('item-{number}')
+ * @param {Array<Object>} items - Položky s ID
+ * @returns {number} Nejvyšší nalezené číslo (0 pokud žádné)
+ */
+export const findMaxIncrementalId = (items = []) => {
+  return items.reduce((max, item) => {
+    const match = /^item-(\d+)$/.exec(item?.id);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+};
+
+/**
+ * Nejvyšší inkrementální ID napříč všemi variantami snapshotu
+ * @param {Object} variants - Položky podle typu varianty
+ * @returns {number} Nejvyšší nalezené číslo (0 pokud žádné)
+ */
+export const findMaxIncrementalIdInSnapshot = (variants = {}) => {
+  return Math.max(0, ...VARIANT_LIST_TYPES.map(key => findMaxIncrementalId(variants[key])));
+};
+
+// Jen varianty, jejichž seznam v datech je - chybějící se doplní výchozími položkami
+const pickVariants = (data) => Object.fromEntries(
+  VARIANT_LIST_TYPES.filter(key => Array.isArray(data[key])).map(key => [key, data[key]])
+);
+
+/**
+ * Migrace schématu - klíč je verze, ze které se migruje na verzi o jedna vyšší
+ * Verze 0 = neverzovaný objekt obsahující pouze seznamy variant
+ */
+const MIGRATIONS = {
+  0: (data) => ({
+    version: 1,
+    variants: pickVariants(data),
+    ui: {},
+    history: null,
+    idCounter: findMaxIncrementalIdInSnapshot(data)
+  }),
+  // Verze 2: záznamy historie mají ISO čas (createdAt) a zprávu jako { key, params }.
+  // Staré záznamy si ponechají hotový text zprávy i času.
+  1: (data) => ({
+    ...data,
+    version: 2,
+    history: data.history && {
+      ...data.history,
+      entries: (data.history.entries || []).map(entry => ({
+        ...entry,
+        createdAt: entry.createdAt ?? null
+      }))
+    }
+  })
+};
+
+/**
+ * Postupně aplikuje migrace až na aktuální verzi schématu
+ * @param {Object} data - Načtená data v libovolné podporované verzi
+ * @returns {Object|null} Data v aktuální verzi nebo null pokud migrace není možná
+ */
+export const migrateState = (data) => {
+  let current = data;
+  let version = typeof data.version === 'number' ? data.version : 0;
+
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+
+    if (!migrate) {
+      return null;
+    }
+
+    current = migrate(current);
+    version = current.version;
+  }
+
+  return version === SCHEMA_VERSION ? current : null;
+};
+
+const isValidState = (state) => {
+  if (!state || !state.variants) {
+    return false;
+  }
+
+  // Stav uložený před přidáním varianty do registru její seznam nemá
+  const keys = VARIANT_LIST_TYPES.filter(key => state.variants[key] !== undefined);
+  return keys.length > 0 && keys.every(key => Array.isArray(state.variants[key]));
+};
+
+/**
+ * Načte uložený stav z localStorage
+ * @returns {Object|null} Stav v aktuální verzi schématu nebo null
+ */
+export const loadPersistedState = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+
+    if (!raw) {
+      return null;
+    }
+
+    const state = migrateState(JSON.parse(raw));
+    if (!isValidState(state)) {
+      return null;
+    }
+
+    return state.history && !isHistoryAtVariants(state.history, state.variants)
+      ? { ...state, history: null }
+      : state;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Zkrátí historii na okno záznamů, které vždy obsahuje aktuální pozici - přednost mají
+ * záznamy pro undo, redo záznamy se ponechají jen do limitu. Výchozím bodem pro undo
+ * se stane snapshot posledního zahozeného záznamu před oknem.
+ * @param {Object} history - { entries, position, baseline }
+ * @param {number} limit - Maximální počet záznamů
+ * @returns {Object} Zkrácená historie
+ */
+export const trimHistory = (history, limit = PERSISTED_HISTORY_LIMIT) => {
+  const entries = history?.entries || [];
+
+  if (entries.length <= limit) {
+    return history;
+  }
+
+  const position = history.position ?? entries.length;
+  const start = Math.max(0, position - limit);
+
+  return {
+    entries: entries.slice(start, start + limit),
+    position: position - start,
+    baseline: start > 0 ? entries[start - 1].snapshot : history.baseline
+  };
+};
+
+/**
+ * Ověří, že historie na své pozici odpovídá uloženým seznamům - jinak by undo a redo
+ * vycházely z jiného stavu, než je na obrazovce
+ * @param {Object} history - { entries, position, baseline }
+ * @param {Object} variants - Uložené položky podle typu varianty
+ * @returns {boolean} Zda historii lze obnovit
+ */
+const isHistoryAtVariants = (history, variants) => {
+  const entries = history.entries || [];
+  const position = history.position ?? entries.length;
+
+  if (!Number.isInteger(position) || position < 0 || position > entries.length) {
+    return false;
+  }
+
+  const snapshot = position === 0 ? history.baseline : entries[position - 1].snapshot;
+  // Historie bez výchozího snapshotu (před prvním záznamem) se nedá ověřit
+  if (!snapshot) {
+    return position === 0;
+  }
+
+  return VARIANT_LIST_TYPES
+    .filter(key => snapshot[key] !== undefined && variants[key] !== undefined)
+    .every(key => JSON.stringify(snapshot[key]) === JSON.stringify(variants[key]));
+};
+
+const writeState = (state) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+};
+
+/**
+ * Uloží stav do localStorage v aktuální verzi schématu
+ * @param {Object} state - Stav aplikace (variants, ui, history, idCounter)
+ * @returns {string} Výsledek z SAVE_RESULTS
+ */
+export const savePersistedState = (state) => {
+  const data = {
+    version: SCHEMA_VERSION,
+    ...state,
+    history: trimHistory(state.history),
+    idCounter: Math.max(
+      state.idCounter || 0,
+      findMaxIncrementalIdInSnapshot(state.variants)
+    )
+  };
+
+  // Plné nebo nedostupné úložiště nesmí rozbít aplikaci - výsledek zobrazí volající
+  try {
+    writeState(data);
+    return SAVE_RESULTS.SAVED;
+  } catch {
+    // Bez historie je stav o řád menší
+  }
+
+  try {
+    writeState({ ...data, history: null });
+    return SAVE_RESULTS.HISTORY_DROPPED;
+  } catch {
+    return SAVE_RESULTS.FAILED;
+  }
+};
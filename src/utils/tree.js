@@ -0,0 +1,186 @@
+// src/utils/tree.js
+// Utility funkce pro stromový sortable seznam
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad stromem { value, children }
+//
+// Strom se pro DnD Kit zplošťuje na seznam { id, parentId, depth } v pořadí průchodu.
+// ID uzlu vrací getNodeId - bez něj se jako ID použije cesta indexů ("0.1.2"),
+// která se změní při každém přesunu, smazání i přesunu předka.
+
+import { arrayMove } from '@dnd-kit/sortable';
+
+/**
+ * @param {Array<number>} path - Indexy od kořene k uzlu
+ * @returns {string} ID ve tvaru "0.1.2"
+ */
+export const getIndexPathId = (path) => path.join('.');
+
+/**
+ * Zploští strom do seznamu v pořadí průchodu (rodič před potomky)
+ * @param {Array} nodes - Uzly { value, children } (případně s id)
+ * @param {Function} getNodeId - (node) => ID; bez něj se použije cesta indexů
+ * @param {string|null} parentId - ID rodiče
+ * @param {Array<number>} parentPath - Cesta k rodiči
+ * @returns {Array} Položky { id, value, parentId, depth, childCount, descendantCount, node }
+ */
+export const flattenTree = (nodes, getNodeId = null, parentId = null, parentPath = []) => {
+  return nodes.flatMap((node, index) => {
+    const path = [...parentPath, index];
+    const id = getNodeId ? getNodeId(node) : getIndexPathId(path);
+    const children = node.children || [];
+    const descendants = flattenTree(children, getNodeId, id, path);
+
+    return [
+      {
+        id,
+        value: node.value,
+        parentId,
+        depth: parentPath.length,
+        childCount: children.length,
+        descendantCount: descendants.length,
+        node
+      },
+      ...descendants
+    ];
+  });
+};
+
+/**
+ * Sestaví strom zpět ze zploštělého seznamu podle parentId
+ * @param {Array} flatItems - Položky v pořadí průchodu
+ * @returns {Array} Uzly stromu
+ */
+export const buildTree = (flatItems) => {
+  const root = [];
+  const nodesById = new Map();
+
+  flatItems.forEach(item => {
+    // Děti se skládají znovu z plochého seznamu, původní pole se přepíše
+    const treeNode = { ...item.node, children: [] };
+    const siblings = item.parentId === null ? root : nodesById.get(item.parentId)?.children;
+
+    nodesById.set(item.id, treeNode);
+    (siblings || root).push(treeNode);
+  });
+
+  return root;
+};
+
+/**
+ * Odebere ze seznamu všechny potomky zadaných uzlů (sbalené podstromy, tažený uzel)
+ * @param {Array} flatItems - Položky v pořadí průchodu
+ * @param {Array} ids - ID uzlů, jejichž potomci se skryjí
+ * @returns {Array} Položky bez potomků
+ */
+export const removeChildrenOf = (flatItems, ids) => {
+  const hiddenParents = new Set(ids);
+
+  return flatItems.filter(item => {
+    if (item.parentId !== null && hiddenParents.has(item.parentId)) {
+      hiddenParents.add(item.id);
+      return false;
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Spočítá, kam se tažený uzel zanoří podle vodorovného posunu.
+ * Hloubka je omezená předchozí položkou (max. o úroveň hlouběji) a následující položkou.
+ * @param {Array} visibleItems - Viditelné položky (bez potomků taženého uzlu)
+ * @param {string} activeId - ID taženého uzlu
+ * @param {string} overId - ID uzlu pod kurzorem
+ * @param {number} offsetX - Vodorovný posun tažení v px
+ * @param {number} indentationWidth - Šířka jedné úrovně zanoření v px
+ * @returns {Object|null} { depth, parentId } nebo null
+ */
+export const getProjection = (visibleItems, activeId, overId, offsetX, indentationWidth) => {
+  const activeIndex = visibleItems.findIndex(item => item.id === activeId);
+  const overIndex = visibleItems.findIndex(item => item.id === overId);
+
+  if (activeIndex === -1 || overIndex === -1) {
+    return null;
+  }
+
+  const activeItem = visibleItems[activeIndex];
+  const newItems = arrayMove(visibleItems, activeIndex, overIndex);
+  const previousItem = newItems[overIndex - 1];
+  const nextItem = newItems[overIndex + 1];
+  const projectedDepth = activeItem.depth + Math.round(offsetX / indentationWidth);
+  const maxDepth = previousItem ? previousItem.depth + 1 : 0;
+  const minDepth = nextItem ? nextItem.depth : 0;
+  const depth = Math.min(Math.max(projectedDepth, minDepth), maxDepth);
+
+  const getParentId = () => {
+    if (depth === 0 || !previousItem) {
+      return null;
+    }
+
+    if (depth === previousItem.depth) {
+      return previousItem.parentId;
+    }
+
+    if (depth > previousItem.depth) {
+      return previousItem.id;
+    }
+
+    // Vynoření - rodičem je nejbližší předchozí uzel o úroveň výš
+    return newItems
+      .slice(0, overIndex)
+      .reverse()
+      .find(item => item.depth === depth)?.parentId ?? null;
+  };
+
+  return { depth, parentId: getParentId() };
+};
+
+/**
+ * Přesune uzel i s celým podstromem na novou pozici a hloubku
+ * @param {Array} flatItems - Všechny položky stromu (včetně sbalených)
+ * @param {string} activeId - ID taženého uzlu
+ * @param {string} overId - ID uzlu, nad kterým byl puštěn
+ * @param {Object} projection - { depth, parentId } z getProjection
+ * @returns {Array} Nový strom
+ */
+export const moveTreeItem = (flatItems, activeId, overId, projection) => {
+  const activeIndex = flatItems.findIndex(item => item.id === activeId);
+  const overIndex = flatItems.findIndex(item => item.id === overId);
+
+  if (activeIndex === -1 || overIndex === -1) {
+    return buildTree(flatItems);
+  }
+
+  // Uzel se přesouvá jako blok s potomky, aby rodič zůstal před svými dětmi
+  const blockEnd = activeIndex + flatItems[activeIndex].descendantCount + 1;
+  const block = flatItems.slice(activeIndex, blockEnd);
+  const rest = [...flatItems.slice(0, activeIndex), ...flatItems.slice(blockEnd)];
+  const restOverIndex = rest.findIndex(item => item.id === overId);
+
+  if (overId !== activeId && restOverIndex === -1) {
+    return buildTree(flatItems);
+  }
+
+  const getInsertIndex = () => {
+    if (overId === activeId) {
+      return activeIndex;
+    }
+
+    return overIndex > activeIndex ? restOverIndex + 1 : restOverIndex;
+  };
+
+  const insertIndex = getInsertIndex();
+  const movedBlock = [{ ...block[0], ...projection }, ...block.slice(1)];
+
+  return buildTree([...rest.slice(0, insertIndex), ...movedBlock, ...rest.slice(insertIndex)]);
+};
+
+/**
+ * Smaže uzel včetně celého podstromu
+ * @param {Array} flatItems - Všechny položky stromu
+ * @param {string} id - ID mazaného uzlu
+ * @returns {Array} Nový strom
+ */
+export const removeTreeItem = (flatItems, id) => {
+  const remaining = removeChildrenOf(flatItems, [id]).filter(item => item.id !== id);
+  return buildTree(remaining);
+};
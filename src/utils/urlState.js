@@ -0,0 +1,184 @@
+// src/utils/urlState.js
+// Utility funkce pro sdílení stavu aplikace přes URL hash
+// Tento soubor neobsahuje žádný state, pouze kódování a dekódování
+//
+// Formát: #v=2&tab=wrong&debug=0&items=<base64url JSON>
+// Položky se kódují podle strategie ID varianty jako pole bez názvů klíčů, aby odkaz zůstal krátký:
+//   { wrong: ["A", "B"], generated: [[id, value, idType]], correct: [[id, value]],
+//     server: [[id, value, clientId?]], ... }
+// Odkazy verze 1 obsahují jen pole [wrong, generated, correct].
+
+import { VARIANT_TYPES, ID_GENERATOR_TYPES } from '../constants';
+import { VARIANTS, ID_STRATEGIES, usesPlainItems } from '../variants';
+
+export const URL_STATE_VERSION = 2;
+const LEGACY_URL_STATE_VERSION = 1;
+const LEGACY_VARIANT_TYPES = [VARIANT_TYPES.WRONG, VARIANT_TYPES.GENERATED, VARIANT_TYPES.CORRECT];
+
+const PARAMS = {
+  VERSION: 'v',
+  TAB: 'tab',
+  DEBUG: 'debug',
+  ITEMS: 'items'
+};
+
+/**
+ * Zakóduje text (včetně diakritiky) do base64url bez paddingu
+ * @param {string} text - Vstupní text
+ * @returns {string} Base64url řetězec
+ */
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * @param {string} encoded - Base64url řetězec
+ * @returns {string} Dekódovaný text
+ */
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+
+  return new TextDecoder().decode(bytes);
+};
+
+const isString = (value) => typeof value === 'string';
+const isPackedItem = (item) => Array.isArray(item) && isString(item[0]) && isString(item[1]);
+const idTypes = Object.values(ID_GENERATOR_TYPES);
+
+const PLAIN_CODEC = {
+  pack: (item) => item,
+  unpack: (item) => item,
+  isValid: isString
+};
+
+const ID_VALUE_CODEC = {
+  pack: (item) => [item.id, item.value],
+  unpack: ([id, value]) => ({ id, value }),
+  isValid: isPackedItem
+};
+
+// Zkrácený tvar položky podle strategie ID (holé hodnoty se ukládají tak, jak jsou)
+const ITEM_CODECS = {
+  [ID_STRATEGIES.GENERATED]: {
+    pack: (item) => [item.id, item.value, item.idType],
+    unpack: ([id, value, idType]) => ({
+      id,
+      value,
+      idType: idTypes.includes(idType) ? idType : ID_GENERATOR_TYPES.NANOID
+    }),
+    isValid: isPackedItem
+  },
+  [ID_STRATEGIES.STABLE]: ID_VALUE_CODEC,
+  // React klíč (clientId) mají jen položky přidané v aplikaci
+  [ID_STRATEGIES.SERVER]: {
+    pack: (item) => (item.clientId ? [item.id, item.value, item.clientId] : [item.id, item.value]),
+    unpack: ([id, value, clientId]) => (isString(clientId) ? { id, value, clientId } : { id, value }),
+    isValid: isPackedItem
+  }
+};
+
+const getItemCodec = (variant) => {
+  return usesPlainItems(variant) ? PLAIN_CODEC : ITEM_CODECS[variant.idStrategy];
+};
+
+const encodeVariants = (variants) => Object.fromEntries(
+  VARIANTS.filter(variant => variants[variant.type]).map(variant => [
+    variant.type,
+    variants[variant.type].map(getItemCodec(variant).pack)
+  ])
+);
+
+/**
+ * Převede zkrácená pole zpět na položky. Chybějící varianty zůstanou undefined,
+ * neplatná data vrátí null.
+ * @param {Object} packed - Zkrácené položky podle typu varianty
+ * @returns {Object|null} Snapshot položek podle typu varianty
+ */
+const decodeVariants = (packed) => {
+  if (!packed || typeof packed !== 'object' || Array.isArray(packed)) {
+    return null;
+  }
+
+  const variants = VARIANTS.filter(variant => packed[variant.type] !== undefined);
+  const isValid = variants.length > 0 && variants.every(variant => (
+    Array.isArray(packed[variant.type]) && packed[variant.type].every(getItemCodec(variant).isValid)
+  ));
+
+  if (!isValid) {
+    return null;
+  }
+
+  return Object.fromEntries(variants.map(variant => [
+    variant.type,
+    packed[variant.type].map(getItemCodec(variant).unpack)
+  ]));
+};
+
+/**
+ * Odkazy verze 1 - pole [wrong, generated, correct]
+ * @param {Array} packed - Zkrácené položky tří původních variant
+ * @returns {Object|null} Snapshot položek podle typu varianty
+ */
+const decodeLegacyVariants = (packed) => {
+  if (!Array.isArray(packed) || packed.length !== LEGACY_VARIANT_TYPES.length) {
+    return null;
+  }
+
+  return decodeVariants(Object.fromEntries(
+    LEGACY_VARIANT_TYPES.map((variantType, index) => [variantType, packed[index]])
+  ));
+};
+
+/**
+ * Zakóduje sdílený stav do URL hashe (bez úvodního '#')
+ * @param {Object} state - { activeTab, showDebug, variants }
+ * @returns {string} Obsah hashe
+ */
+export const encodeUrlState = ({ activeTab, showDebug, variants }) => {
+  const params = new URLSearchParams();
+
+  params.set(PARAMS.VERSION, String(URL_STATE_VERSION));
+  params.set(PARAMS.TAB, activeTab);
+  params.set(PARAMS.DEBUG, showDebug ? '1' : '0');
+  params.set(PARAMS.ITEMS, toBase64Url(JSON.stringify(encodeVariants(variants))));
+
+  return params.toString();
+};
+
+/**
+ * Dekóduje stav z URL hashe. Chybějící nebo neplatné části jsou undefined,
+ * aby se daly doplnit z localStorage nebo výchozích hodnot.
+ * @param {string} hash - window.location.hash (s '#' nebo bez)
+ * @returns {Object|null} { activeTab, showDebug, variants } nebo null pokud hash není stav aplikace
+ */
+export const decodeUrlState = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  const version = Number(params.get(PARAMS.VERSION));
+
+  if (version !== URL_STATE_VERSION && version !== LEGACY_URL_STATE_VERSION) {
+    return null;
+  }
+
+  const tab = params.get(PARAMS.TAB);
+  const debug = params.get(PARAMS.DEBUG);
+  let variants;
+
+  try {
+    const packed = JSON.parse(fromBase64Url(params.get(PARAMS.ITEMS) || ''));
+    const decode = version === LEGACY_URL_STATE_VERSION ? decodeLegacyVariants : decodeVariants;
+    variants = decode(packed) ?? undefined;
+  } catch {
+    variants = undefined;
+  }
+
+  return {
+    activeTab: Object.values(VARIANT_TYPES).includes(tab) ? tab : undefined,
+    showDebug: debug === null ? undefined : debug === '1',
+    variants
+  };
+};
@@ -0,0 +1,37 @@
+// src/utils/virtualWindow.js
+// Utility funkce pro windowing (virtualizaci) dlouhých seznamů s pevnou výškou řádku
+// Tento soubor neobsahuje žádný state, pouze výpočty rozsahu
+
+/**
+ * Spočítá rozsah řádků, které se mají vykreslit
+ * @param {number} scrollTop - Aktuální posun scroll kontejneru
+ * @param {number} viewportHeight - Výška viditelné oblasti
+ * @param {number} rowHeight - Pevná výška řádku
+ * @param {number} count - Celkový počet řádků
+ * @param {number} overscan - Počet řádků navíc nad a pod viditelnou oblastí
+ * @returns {Object} { start, end } - end je exkluzivní
+ */
+export const getVisibleRange = (scrollTop, viewportHeight, rowHeight, count, overscan) => {
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return { start, end };
+};
+
+/**
+ * Vrátí indexy k vykreslení - viditelný rozsah a k tomu vždy tažená položka,
+ * aby ji DnD Kit neztratil, když odjede mimo okno
+ * @param {Object} range - { start, end }
+ * @param {number} activeIndex - Pozice tažené položky (-1 pokud se netáhne)
+ * @returns {Array<number>} Seřazené indexy
+ */
+export const getRenderedIndexes = ({ start, end }, activeIndex = -1) => {
+  const indexes = Array.from({ length: end - start }, (_, offset) => start + offset);
+
+  if (activeIndex !== -1 && (activeIndex < start || activeIndex >= end)) {
+    indexes.push(activeIndex);
+    indexes.sort((a, b) => a - b);
+  }
+
+  return indexes;
+};
@@ -0,0 +1,214 @@
+// src/variants/index.js
+// Registr variant seznamu - každá varianta je deklarovaná jen tady
+// Tento soubor neobsahuje žádný state, pouze popis variant
+//
+// Z registru se skládají záložky, panely variant, handlery v App, reset, scénáře,
+// import/export i barvy historie. Nová varianta = nový záznam + texty v katalozích.
+
+import { VARIANT_TYPES, HISTORY_TYPES, ID_GENERATOR_TYPES } from '../constants';
+
+// Odkud varianta bere ID položek
+export const ID_STRATEGIES = {
+  // Položky jsou holé hodnoty, ID je pozice v seznamu
+  INDEX: 'index',
+  // Položky jsou holé hodnoty, ID je hodnota sama - duplicitní hodnoty mají stejné ID
+  VALUE: 'value',
+  // Položky jsou holé hodnoty, ID se generuje při každém renderu - handlery pracují s pozicí
+  RENDER: 'render',
+  // ID vytvoří generátor zvolený v UI (idType se ukládá k položce)
+  GENERATED: 'generated',
+  // ID patří k datům - pevný generátor z idType varianty
+  STABLE: 'stable',
+  // ID přiděluje server, nová položka má do odpovědi dočasné ID (idType generuje jeho náhodnou část)
+  SERVER: 'server'
+};
+
+/**
+ * Popis varianty:
+ * - idStrategy / idType: zdroj ID (idType je výchozí generátor, u INDEX null)
+ * - isWrong: varianta ukazuje problém (červené zvýraznění, mazání je varování)
+ * - color: klíč palety z COLORS (okraj panelu a záznamy historie)
+ * - code / codeKey: ukázka kódu - doslovně, nebo klíč překladu, pokud obsahuje komentáře
+ * - titleKey, tabKey, explanationKey, instructionsKey: klíče překladů
+ * - capabilities: canAdd (tlačítko přidání), canAddDuplicate (přidání kopie existující hodnoty),
+ *   canChooseGenerator (výběr generátoru a nový seznam), checksDivergence (porovnání se záměrem
+ *   uživatele), checksDuplicates (hledání duplicitních ID), syncsWithServer (optimistické
+ *   změny potvrzované mock backendem)
+ */
+export const VARIANTS = [
+  {
+    type: VARIANT_TYPES.WRONG,
+    idStrategy: ID_STRATEGIES.INDEX,
+    idType: null,
+    isWrong: true,
+    color: 'CRIMSON',
+    code: 'items={data.map((_, index) => index)}',
+    titleKey: 'variants.wrong.title',
+    tabKey: 'tabs.wrong',
+    explanationKey: 'variants.wrong.problems',
+    instructionsKey: 'variants.wrong.instructions',
+    capabilities: {
+      canAdd: false,
+      canAddDuplicate: false,
+      canChooseGenerator: false,
+      checksDivergence: true,
+      checksDuplicates: false,
+      syncsWithServer: false
+    }
+  },
+  {
+    type: VARIANT_TYPES.VALUE,
+    idStrategy: ID_STRATEGIES.VALUE,
+    idType: null,
+    isWrong: true,
+    color: 'AMBER',
+    code: 'items={data.map(item => item.name)}',
+    titleKey: 'variants.value.title',
+    tabKey: 'tabs.value',
+    explanationKey: 'variants.value.problems',
+    instructionsKey: 'variants.value.instructions',
+    capabilities: {
+      canAdd: false,
+      canAddDuplicate: true,
+      canChooseGenerator: false,
+      checksDivergence: false,
+      checksDuplicates: true,
+      syncsWithServer: false
+    }
+  },
+  {
+    type: VARIANT_TYPES.RENDER,
+    idStrategy: ID_STRATEGIES.RENDER,
+    idType: null,
+    isWrong: true,
+    color: 'ROSE',
+    code: 'items={data.map(() => generateNanoId())}',
+    titleKey: 'variants.render.title',
+    tabKey: 'tabs.render',
+    explanationKey: 'variants.render.problems',
+    instructionsKey: 'variants.render.instructions',
+    capabilities: {
+      canAdd: false,
+      canAddDuplicate: false,
+      canChooseGenerator: false,
+      checksDivergence: false,
+      checksDuplicates: false,
+      syncsWithServer: false
+    }
+  },
+  {
+    type: VARIANT_TYPES.GENERATED,
+    idStrategy: ID_STRATEGIES.GENERATED,
+    idType: ID_GENERATOR_TYPES.NANOID,
+    isWrong: false,
+    color: 'SUCCESS',
+    codeKey: 'variants.generated.code',
+    titleKey: 'variants.generated.title',
+    tabKey: 'tabs.generated',
+    explanationKey: 'variants.generated.solutions',
+    instructionsKey: 'variants.generated.instructions',
+    capabilities: {
+      canAdd: true,
+      canAddDuplicate: false,
+      canChooseGenerator: true,
+      checksDivergence: false,
+      checksDuplicates: false,
+      syncsWithServer: false
+    }
+  },
+  {
+    type: VARIANT_TYPES.CORRECT,
+    idStrategy: ID_STRATEGIES.STABLE,
+    idType: ID_GENERATOR_TYPES.INCREMENTAL,
+    isWrong: false,
+    color: 'TEAL',
+    code: 'items={data.map(item => item.id)}',
+    titleKey: 'variants.correct.title',
+    tabKey: 'tabs.correct',
+    explanationKey: 'variants.correct.solutions',
+    instructionsKey: 'variants.correct.instructions',
+    capabilities: {
+      canAdd: false,
+      canAddDuplicate: false,
+      canChooseGenerator: false,
+      checksDivergence: false,
+      checksDuplicates: false,
+      syncsWithServer: false
+    }
+  },
+  {
+    type: VARIANT_TYPES.SERVER,
+    idStrategy: ID_STRATEGIES.SERVER,
+    idType: ID_GENERATOR_TYPES.NANOID,
+    isWrong: false,
+    color: 'SKY',
+    codeKey: 'variants.server.code',
+    titleKey: 'variants.server.title',
+    tabKey: 'tabs.server',
+    explanationKey: 'variants.server.solutions',
+    instructionsKey: 'variants.server.instructions',
+    capabilities: {
+      canAdd: true,
+      canAddDuplicate: false,
+      canChooseGenerator: false,
+      checksDivergence: false,
+      checksDuplicates: false,
+      syncsWithServer: true
+    }
+  }
+];
+
+// Typy variant - klíče snapshotu položek i uloženého stavu
+export const VARIANT_LIST_TYPES = VARIANTS.map(variant => variant.type);
+
+const VARIANTS_BY_TYPE = Object.fromEntries(VARIANTS.map(variant => [variant.type, variant]));
+
+/**
+ * @param {string} type - Typ varianty
+ * @returns {Object|undefined} Záznam registru
+ */
+export const getVariant = (type) => {
+  return VARIANTS_BY_TYPE[type];
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @returns {boolean} Zda handlery varianty pracují s pozicemi místo ID
+ *   (u RENDER existují ID jen během jednoho renderu)
+ */
+export const usesIndexIds = (variant) => {
+  return variant.idStrategy === ID_STRATEGIES.INDEX || variant.idStrategy === ID_STRATEGIES.RENDER;
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @returns {boolean} Zda varianta generuje ID pro SortableContext při každém renderu
+ */
+export const usesRenderIds = (variant) => {
+  return variant.idStrategy === ID_STRATEGIES.RENDER;
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @returns {boolean} Zda jsou položky varianty holé hodnoty (bez objektu s ID)
+ */
+export const usesPlainItems = (variant) => {
+  return usesIndexIds(variant) || variant.idStrategy === ID_STRATEGIES.VALUE;
+};
+
+// Zdroje záznamů historie - varianty z registru a akce nad všemi variantami
+export const HISTORY_SOURCES = [
+  ...VARIANTS.map(({ type, color, tabKey }) => ({ type, color, labelKey: tabKey })),
+  { type: HISTORY_TYPES.SCENARIO, color: 'IVORY', labelKey: 'history.sources.scenario' },
+  { type: HISTORY_TYPES.IMPORT, color: 'VIOLET', labelKey: 'history.sources.import' }
+];
+
+const HISTORY_COLORS = Object.fromEntries(HISTORY_SOURCES.map(source => [source.type, source.color]));
+
+/**
+ * @param {string} type - Typ záznamu historie
+ * @returns {string|undefined} Klíč palety pro okraj záznamu
+ */
+export const getHistoryColor = (type) => {
+  return HISTORY_COLORS[type];
+};
@@ -0,0 +1,194 @@
+// src/variants/items.js
+// Položky variant podle strategie ID z registru
+// Tento soubor neobsahuje žádný state, pouze pure funkce nad položkami
+//
+// Varianty s indexy a s hodnotou jako ID drží holé hodnoty, ostatní objekty { id, value }
+// (vygenerovaná i s idType).
+
+import { addIdsToValues } from '../utils/idGenerators';
+import { createServerItems, createTemporaryItem } from '../utils/mockBackend';
+import { createImportedItems } from '../utils/listTransfer';
+import { ID_STRATEGIES, usesIndexIds, usesPlainItems } from './index';
+
+/**
+ * Hledání pozice podle ID pro useDragAndDrop (u varianty s indexy se nepoužije)
+ * @param {Array<Object>} items - Položky s ID
+ * @param {string} id - ID položky
+ * @returns {number} Pozice nebo -1
+ */
+export const findIndexById = (items, id) => {
+  return items.findIndex(item => item.id === id);
+};
+
+/**
+ * Hledání pozice u varianty, kde ID je hodnota - vrací vždy první výskyt,
+ * takže u duplicit se pracuje s jinou položkou, než kterou uživatel táhl
+ * @param {Array<string>} items - Holé hodnoty
+ * @param {string} id - Hodnota položky
+ * @returns {number} Pozice prvního výskytu nebo -1
+ */
+export const findIndexByValue = (items, id) => {
+  return items.indexOf(id);
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @returns {Function|undefined} findIndexById pro useDragAndDrop
+ */
+export const getIndexFinder = (variant) => {
+  if (usesIndexIds(variant)) {
+    return undefined;
+  }
+
+  return variant.idStrategy === ID_STRATEGIES.VALUE ? findIndexByValue : findIndexById;
+};
+
+/**
+ * @param {string|Object} item - Položka varianty
+ * @returns {string} Hodnota položky
+ */
+export const getItemValue = (item) => {
+  return typeof item === 'string' ? item : item.value;
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @returns {Function|undefined} Čtení ID položky pro useDragAndDrop (výchozí je item.id)
+ */
+export const getIdGetter = (variant) => {
+  return variant.idStrategy === ID_STRATEGIES.VALUE ? getItemValue : undefined;
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @param {string|Object} item - Položka varianty
+ * @param {number} index - Pozice položky
+ * @returns {string|number} ID pro SortableContext, výběr a handlery
+ *   (u RENDER pozice - ID pro SortableContext vzniká až v renderu, viz RenderIdList)
+ */
+export const getItemId = (variant, item, index) => {
+  if (usesIndexIds(variant)) {
+    return index;
+  }
+
+  return variant.idStrategy === ID_STRATEGIES.VALUE ? item : item.id;
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @param {Array} items - Položky varianty
+ * @param {string|number} id - ID položky (u varianty s indexy pozice)
+ * @returns {number} Pozice položky nebo -1
+ */
+export const findItemIndex = (variant, items, id) => {
+  if (usesIndexIds(variant)) {
+    return id >= 0 && id < items.length ? id : -1;
+  }
+
+  return getIndexFinder(variant)(items, id);
+};
+
+/**
+ * React klíč položky - dočasné ID klienta zůstává klíčem i po výměně za ID ze serveru,
+ * takže se položka znovu nepřipojí
+ * @param {string|Object} item - Položka varianty
+ * @param {string|number} sortableId - ID pro SortableContext
+ * @returns {string|number} Klíč pro React
+ */
+export const getItemKey = (item, sortableId) => {
+  return item.clientId ?? sortableId;
+};
+
+/**
+ * Najde položky, jejichž ID není v seznamu unikátní
+ * @param {Object} variant - Záznam registru
+ * @param {Array} items - Položky varianty
+ * @returns {Object} { indexes, ids } - pozice položek se sdíleným ID a seznam sdílených ID
+ */
+export const findDuplicateIds = (variant, items) => {
+  const ids = items.map((item, index) => getItemId(variant, item, index));
+  const counts = ids.reduce((result, id) => result.set(id, (result.get(id) ?? 0) + 1), new Map());
+  const duplicates = [...counts.keys()].filter(id => counts.get(id) > 1);
+
+  return {
+    indexes: ids.flatMap((id, index) => (counts.get(id) > 1 ? [index] : [])),
+    ids: duplicates
+  };
+};
+
+/**
+ * @param {Object} variant - Záznam registru
+ * @param {Array} items - Položky varianty
+ * @param {string|number} id - ID položky
+ * @returns {number} Počet položek se stejným ID
+ */
+export const countItemsWithId = (variant, items, id) => {
+  return items.filter((item, index) => getItemId(variant, item, index) === id).length;
+};
+
+/**
+ * Vytvoří položky s ID ze zvoleného generátoru včetně strategie, která je vytvořila
+ * @param {Array<string>} values - Hodnoty položek
+ * @param {Object} idFactories - Factory podle typu generátoru
+ * @param {string} idType - Zvolený typ generátoru
+ * @returns {Array<Object>} Položky s id, value a idType
+ */
+export const createGeneratedItems = (values, idFactories, idType) => {
+  return addIdsToValues(values, idFactories[idType]).map(item => ({ ...item, idType }));
+};
+
+/**
+ * Vytvoří seznam varianty z hodnot
+ * @param {Object} variant - Záznam registru
+ * @param {Array<string>} values - Hodnoty položek
+ * @param {Object} idFactories - Factory podle typu generátoru
+ * @param {string} generatedIdType - Generátor zvolený v UI (strategie GENERATED)
+ * @returns {Array} Položky varianty
+ */
+export const createVariantItems = (variant, values, idFactories, generatedIdType) => {
+  if (usesPlainItems(variant)) {
+    return values;
+  }
+
+  if (variant.idStrategy === ID_STRATEGIES.SERVER) {
+    return createServerItems(values);
+  }
+
+  return variant.idStrategy === ID_STRATEGIES.GENERATED
+    ? createGeneratedItems(values, idFactories, generatedIdType ?? variant.idType)
+    : addIdsToValues(values, idFactories[variant.idType]);
+};
+
+/**
+ * Vytvoří jednu novou položku varianty (u strategie SERVER s dočasným ID)
+ * @param {Object} variant - Záznam registru
+ * @param {string} value - Hodnota položky
+ * @param {Object} idFactories - Factory podle typu generátoru
+ * @param {string} generatedIdType - Generátor zvolený v UI (strategie GENERATED)
+ * @returns {string|Object} Položka varianty
+ */
+export const createVariantItem = (variant, value, idFactories, generatedIdType) => {
+  if (variant.idStrategy === ID_STRATEGIES.SERVER) {
+    return createTemporaryItem(value, idFactories[variant.idType]);
+  }
+
+  return createVariantItems(variant, [value], idFactories, generatedIdType)[0];
+};
+
+/**
+ * Vytvoří seznam varianty z importovaných záznamů - ID z dat se zachová
+ * @param {Object} variant - Záznam registru
+ * @param {Array<Object>} records - Záznamy { value, id? }
+ * @param {Object} idFactories - Factory podle typu generátoru
+ * @param {string} idType - Generátor pro chybějící ID
+ * @returns {Array} Položky varianty
+ */
+export const createImportedVariantItems = (variant, records, idFactories, idType) => {
+  if (usesPlainItems(variant)) {
+    return records.map(record => record.value);
+  }
+
+  return variant.idStrategy === ID_STRATEGIES.GENERATED
+    ? createImportedItems(records, idFactories[idType], idType)
+    : createImportedItems(records, idFactories[idType]);
+};
@@ -0,0 +1,70 @@
+// src/workers/idBenchmark.worker.js
+// Web Worker pro benchmark generátorů ID a počítání kolizí
+// Běží mimo hlavní vlákno, aby generování milionů ID nezablokovalo UI
+
+import { createIdFactory } from '../utils/idGenerators';
+import { getEntropyBits, getCollisionProbability } from '../utils/idStatistics';
+
+const PROGRESS_INTERVAL = 100000;
+const SAMPLE_SIZE = 3;
+
+/**
+ * Vygeneruje count ID jedním generátorem a spočítá kolize
+ * @param {string} type - Typ generátoru
+ * @param {number} count - Počet ID
+ * @param {number} size - Délka nanoid
+ * @returns {Object} Výsledek benchmarku
+ */
+const runBenchmark = (type, count, size) => {
+  const generateId = createIdFactory({ type, size });
+  const seen = new Set();
+  const samples = [];
+  let collisions = 0;
+  let totalLength = 0;
+
+  const start = performance.now();
+
+  for (let i = 0; i < count; i++) {
+    const id = generateId();
+
+    if (seen.has(id)) {
+      collisions++;
+    } else {
+      seen.add(id);
+    }
+
+    totalLength += id.length;
+
+    if (samples.length < SAMPLE_SIZE) {
+      samples.push(id);
+    }
+
+    if ((i + 1) % PROGRESS_INTERVAL === 0) {
+      self.postMessage({ type: 'progress', generator: type, done: i + 1, total: count });
+    }
+  }
+
+  const durationMs = performance.now() - start;
+
+  return {
+    generator: type,
+    count,
+    durationMs,
+    idsPerSecond: durationMs > 0 ? Math.round(count / (durationMs / 1000)) : null,
+    collisions,
+    averageLength: totalLength / count,
+    entropyBits: getEntropyBits(type, size),
+    collisionProbability: getCollisionProbability(type, count, { size, durationMs }),
+    samples
+  };
+};
+
+self.onmessage = (event) => {
+  const { generators, count, size } = event.data;
+
+  generators.forEach((type) => {
+    self.postMessage({ type: 'result', result: runBenchmark(type, count, size) });
+  });
+
+  self.postMessage({ type: 'done' });
+};